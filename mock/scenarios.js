@@ -0,0 +1,63 @@
+// ===== MOCK SCENARIOS =====
+// Traffic profiles for the mock backend; several can be combined, e.g. "high-load,flapping"
+
+const BASE = {
+    statsInterval: 5000,
+    activityInterval: [6000, 15000],
+    load: { cpu: [12, 35], memory: [180, 260], latency: [35, 90] },
+    commandRate: [0, 4],
+    alertChance: 0,
+    pingDelay: [0, 0],
+    commandDelay: null,
+    outage: null,
+    sessionTtl: null
+};
+
+const SCENARIOS = {
+    steady: {
+        description: 'Healthy bot with moderate load and a stats push every 5s'
+    },
+
+    'high-load': {
+        description: 'CPU, memory and latency near their limits, a push every second and frequent alerts',
+        statsInterval: 1000,
+        activityInterval: [500, 2500],
+        load: { cpu: [78, 99], memory: [720, 990], latency: [180, 650] },
+        commandRate: [8, 40],
+        alertChance: 0.03,
+        pingDelay: [80, 400]
+    },
+
+    flapping: {
+        description: 'The socket server drops every client every 20-40s and refuses reconnects for 5-20s',
+        outage: { every: [20000, 40000], duration: [5000, 20000] }
+    },
+
+    'auth-expiry': {
+        description: 'Sessions expire 60s after sign-in; sockets get session_expired and REST calls 401',
+        sessionTtl: 60 * 1000
+    },
+
+    'slow-commands': {
+        description: 'Commands are accepted straight away and stream their output over 3-12s',
+        commandDelay: [3000, 12000]
+    }
+};
+
+function resolveScenario(names) {
+    const list = String(names || 'steady')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    const unknown = list.filter(name => !SCENARIOS[name]);
+    if (unknown.length) {
+        throw new Error(`Unknown scenario "${unknown.join('", "')}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+
+    // Later scenarios win, so "high-load,flapping" keeps high-load's numbers and adds outages
+    const settings = list.reduce((merged, name) => ({ ...merged, ...SCENARIOS[name] }), { ...BASE });
+    return { ...settings, names: list, description: list.map(name => SCENARIOS[name].description).join('; ') };
+}
+
+module.exports = { SCENARIOS, resolveScenario };
@@ -0,0 +1,600 @@
+// ===== MUSEBOT MOCK SERVER =====
+// Serves the dashboard templates and static assets with fake REST and Socket.IO traffic, no bot required
+//
+//   npm install && npm start -- --scenario high-load,flapping --port 5000
+//
+// Accounts: admin/admin (owner), moderator/moderator, viewer/viewer, and secure/secure with TOTP code 123456.
+// Switch scenarios while running: curl -X POST localhost:5000/__mock/scenario -H 'Content-Type: application/json' -d '{"scenario":"slow-commands"}'
+
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const nunjucks = require('nunjucks');
+const { Server } = require('socket.io');
+const { MockState, SETTINGS_SCHEMA, between, pick } = require('./state');
+const { SCENARIOS, resolveScenario } = require('./scenarios');
+
+const ROOT = path.join(__dirname, '..');
+const SESSION_COOKIE = 'musebot_mock_session';
+const MAX_LOGIN_FAILURES = 5;
+const LOCKOUT_SECONDS = 60;
+
+const USERS = {
+    admin: {
+        password: 'admin',
+        user: { id: '1', username: 'admin', display_name: 'Administrator', role: 'owner' },
+        permissions: ['*']
+    },
+    moderator: {
+        password: 'moderator',
+        user: { id: '2', username: 'moderator', display_name: 'Moderator', role: 'moderator' },
+        permissions: ['commands.execute', 'music.*', 'servers.manage', 'broadcast.send', 'settings.view']
+    },
+    viewer: {
+        password: 'viewer',
+        user: { id: '3', username: 'viewer', display_name: 'Viewer', role: 'viewer' },
+        permissions: ['settings.view']
+    },
+    secure: {
+        password: 'secure',
+        totp: '123456',
+        user: { id: '4', username: 'secure', display_name: 'Two-Factor Admin', role: 'admin' },
+        permissions: ['*']
+    }
+};
+
+const PAGES = {
+    '/': { template: 'index.html', title: 'Dashboard' },
+    '/commands': { template: 'commands.html', title: 'Commands' },
+    '/servers': { template: 'servers.html', title: 'Servers' },
+    '/activity': { template: 'activity.html', title: 'Activity' },
+    '/performance': { template: 'performance.html', title: 'Performance' },
+    '/reports': { template: 'reports.html', title: 'Reports' },
+    '/settings': { template: 'settings.html', title: 'Settings' }
+};
+
+class MockServer {
+    constructor({ port, scenario }) {
+        this.port = port;
+        this.state = new MockState();
+        this.sessions = new Map();
+        this.loginFailures = new Map();
+        this.timers = new Set();
+        this.outage = false;
+        this.scenario = resolveScenario(scenario);
+
+        this.app = express();
+        this.server = http.createServer(this.app);
+        this.io = new Server(this.server);
+
+        this.setupTemplates();
+        this.setupRoutes();
+        this.setupSocket();
+    }
+
+    start() {
+        this.server.listen(this.port, () => {
+            console.log(`[mock] Dashboard on http://localhost:${this.port}`);
+            this.log(`Scenario: ${this.scenario.names.join(', ')} (${this.scenario.description})`);
+        });
+        this.startTraffic();
+    }
+
+    log(message) {
+        console.log(`[mock] ${message}`);
+    }
+
+    // ===== SESSIONS =====
+    readSession(cookieHeader) {
+        const cookies = Object.fromEntries((cookieHeader || '').split(';')
+            .map(pair => pair.trim().split('='))
+            .filter(([name]) => name)
+            .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+        return this.sessions.get(cookies[SESSION_COOKIE]) || null;
+    }
+
+    createSession(res) {
+        const session = {
+            id: crypto.randomBytes(16).toString('hex'),
+            csrfToken: crypto.randomBytes(16).toString('hex'),
+            user: null,
+            permissions: [],
+            expiresAt: null
+        };
+        this.sessions.set(session.id, session);
+        res.cookie(SESSION_COOKIE, session.id, { httpOnly: true, sameSite: 'lax' });
+        return session;
+    }
+
+    isAuthenticated(session) {
+        return Boolean(session?.user) && (!session.expiresAt || Date.now() < session.expiresAt);
+    }
+
+    can(session, permission) {
+        // Same rules as PermissionManager.has: "*" grants everything, "music.*" a whole scope
+        const [scope] = permission.split('.');
+        return ['*', permission, `${scope}.*`].some(grant => session.permissions.includes(grant));
+    }
+
+    // ===== MIDDLEWARE =====
+    session() {
+        return (req, res, next) => {
+            req.session = this.readSession(req.headers.cookie) || this.createSession(res);
+            next();
+        };
+    }
+
+    requireAuth() {
+        return (req, res, next) => {
+            if (this.isAuthenticated(req.session)) return next();
+
+            if (req.baseUrl === '/api') {
+                return res.status(401).json({ message: 'Your session has expired', code: 'session_expired' });
+            }
+            res.redirect('/login');
+        };
+    }
+
+    requireCsrf() {
+        return (req, res, next) => {
+            if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.get('X-CSRFToken') === req.session.csrfToken) {
+                return next();
+            }
+            res.status(400).json({ message: 'The CSRF token is missing or invalid.', code: 'csrf' });
+        };
+    }
+
+    requirePermission(permission) {
+        return (req, res, next) => {
+            if (this.can(req.session, permission)) return next();
+            res.status(403).json({ message: `Missing permission ${permission}`, code: 'forbidden' });
+        };
+    }
+
+    // ===== PAGES =====
+    setupTemplates() {
+        nunjucks.configure(path.join(ROOT, 'templates'), { autoescape: true, express: this.app, noCache: true });
+    }
+
+    render(req, res, { template, title }) {
+        res.render(template, {
+            title,
+            config: { DEBUG: true },
+            csrf_token: () => req.session.csrfToken,
+            is_whitelisted: this.can(req.session, 'commands.reload')
+        });
+    }
+
+    setupRoutes() {
+        const app = this.app;
+
+        app.use('/static', express.static(path.join(ROOT, 'static')));
+
+        // The service worker sits at the root so its scope covers the whole origin
+        app.get('/sw.js', (req, res) => res.sendFile(path.join(ROOT, 'sw.js')));
+
+        app.use(express.json());
+        app.use(this.session());
+
+        this.setupMockRoutes();
+        this.setupAuthRoutes();
+
+        Object.entries(PAGES).forEach(([route, page]) => {
+            app.get(route, this.requireAuth(), (req, res) => this.render(req, res, page));
+        });
+
+        const api = express.Router();
+        api.use(this.requireAuth(), this.requireCsrf());
+        this.setupApiRoutes(api);
+        app.use('/api', api);
+    }
+
+    setupMockRoutes() {
+        // Not part of the real backend: lets a running mock change scenario without a restart
+        this.app.get('/__mock/scenario', (req, res) => {
+            res.json({ active: this.scenario.names, description: this.scenario.description, available: Object.keys(SCENARIOS) });
+        });
+
+        this.app.post('/__mock/scenario', (req, res) => {
+            try {
+                this.scenario = resolveScenario(req.body?.scenario);
+            } catch (error) {
+                return res.status(400).json({ message: error.message });
+            }
+
+            this.log(`Switched to ${this.scenario.names.join(', ')}`);
+            this.outage = false;
+            this.startTraffic();
+            res.json({ active: this.scenario.names, description: this.scenario.description });
+        });
+    }
+
+    // ===== AUTH =====
+    setupAuthRoutes() {
+        this.app.get('/login', (req, res) => {
+            if (this.isAuthenticated(req.session)) return res.redirect('/');
+            this.render(req, res, { template: 'login.html', title: 'Login' });
+        });
+
+        this.app.post('/login', this.requireCsrf(), (req, res) => this.handleLogin(req, res));
+
+        this.app.get('/logout', (req, res) => {
+            this.io.to(req.session.id).disconnectSockets(true);
+            req.session.user = null;
+            req.session.permissions = [];
+
+            // The dashboard calls this with fetch; a plain link navigation gets the login page
+            if (req.accepts(['json', 'html']) === 'html') {
+                return res.redirect('/login');
+            }
+            res.json({ success: true });
+        });
+    }
+
+    handleLogin(req, res) {
+        const { username = '', password = '', totp_code: totpCode } = req.body || {};
+        const failures = this.loginFailures.get(username) || { count: 0, lockedUntil: 0 };
+
+        const lockedFor = Math.ceil((failures.lockedUntil - Date.now()) / 1000);
+        if (lockedFor > 0) {
+            res.set('Retry-After', String(lockedFor));
+            return res.status(423).json({ success: false, message: 'Account temporarily locked after too many failed attempts', retry_after: lockedFor });
+        }
+
+        const fail = (status, body) => {
+            failures.count++;
+            if (failures.count >= MAX_LOGIN_FAILURES) {
+                failures.count = 0;
+                failures.lockedUntil = Date.now() + LOCKOUT_SECONDS * 1000;
+                this.loginFailures.set(username, failures);
+                res.set('Retry-After', String(LOCKOUT_SECONDS));
+                return res.status(423).json({ success: false, message: 'Account temporarily locked after too many failed attempts', retry_after: LOCKOUT_SECONDS });
+            }
+            this.loginFailures.set(username, failures);
+            res.status(status).json(body);
+        };
+
+        const account = USERS[username];
+        if (!account || account.password !== password) {
+            return fail(401, { success: false, message: 'Invalid username or password' });
+        }
+
+        if (account.totp) {
+            if (!totpCode) {
+                return res.json({ success: false, totp_required: true });
+            }
+            if (totpCode !== account.totp) {
+                return fail(401, { success: false, totp_required: true, message: 'Invalid authentication code' });
+            }
+        }
+
+        this.loginFailures.delete(username);
+
+        // A fresh token after sign-in, like Flask-WTF does
+        const session = req.session;
+        session.user = account.user;
+        session.permissions = account.permissions;
+        session.csrfToken = crypto.randomBytes(16).toString('hex');
+        session.expiresAt = this.scenario.sessionTtl ? Date.now() + this.scenario.sessionTtl : null;
+
+        this.log(`${username} signed in${session.expiresAt ? `, session expires in ${this.scenario.sessionTtl / 1000}s` : ''}`);
+        res.json({ success: true, redirect: '/', csrf_token: session.csrfToken });
+    }
+
+    // ===== REST API =====
+    setupApiRoutes(api) {
+        const state = this.state;
+
+        api.get('/me', (req, res) => {
+            res.json({ user: req.session.user, permissions: req.session.permissions });
+        });
+
+        api.get('/stats', (req, res) => res.json(state.snapshot()));
+
+        api.get('/poll', (req, res) => {
+            res.json({ stats: state.snapshot(), activity: state.activity.slice(0, 10) });
+        });
+
+        api.get('/stats/history', (req, res) => res.json(state.history(req.query.range)));
+
+        api.get('/activity', (req, res) => res.json(state.queryActivity(req.query)));
+
+        api.get('/commands', (req, res) => {
+            const top = state.commands.slice().sort((a, b) => b.usage_count - a.usage_count)[0];
+            res.json({
+                commands: state.commands.map(({ weight, ...command }) => command),
+                stats: {
+                    total: state.commands.length,
+                    today: state.commands.reduce((sum, command) => sum + command.usage_today, 0),
+                    top: top?.name
+                }
+            });
+        });
+
+        api.post('/execute', (req, res) => this.handleExecute(req, res));
+
+        api.get('/servers', (req, res) => {
+            res.json({ servers: state.servers.map(server => state.serializeServer(server)) });
+        });
+
+        api.get('/servers/:id', (req, res) => {
+            const server = state.getServerDetail(req.params.id);
+            if (!server) return res.status(404).json({ message: 'Server not found' });
+            res.json({ server });
+        });
+
+        api.get('/settings/schema', this.requirePermission('settings.view'), (req, res) => {
+            res.json({ groups: SETTINGS_SCHEMA });
+        });
+
+        api.get('/settings', this.requirePermission('settings.view'), (req, res) => {
+            res.json({ values: state.settings });
+        });
+
+        api.put('/settings', this.requirePermission('settings.edit'), (req, res) => {
+            const values = req.body?.values || {};
+            const errors = state.validateSettings(values);
+            if (Object.keys(errors).length) {
+                return res.status(400).json({ success: false, message: 'Some settings are invalid', errors });
+            }
+
+            Object.assign(state.settings, values);
+            res.json({ success: true, values: state.settings });
+        });
+
+        api.get('/music/players', (req, res) => {
+            res.json({ players: Array.from(state.players.values()) });
+        });
+
+        api.post('/music/:guild/control', this.requirePermission('music.control'), (req, res) => {
+            const { action, ...params } = req.body || {};
+            const { status, body } = state.controlPlayer(req.params.guild, action, params);
+            if (body.success) {
+                this.io.emit('music_update', { guild_id: req.params.guild, player: body.player });
+            }
+            res.status(status).json(body);
+        });
+
+        api.post('/broadcast', this.requirePermission('broadcast.send'), (req, res) => this.handleBroadcast(req, res));
+
+        api.get('/reports', (req, res) => {
+            const from = new Date(req.query.from);
+            const to = new Date(req.query.to);
+            if (isNaN(from) || isNaN(to) || from > to) {
+                return res.status(400).json({ message: 'from and to must be ISO dates with from <= to' });
+            }
+            res.json(state.report(from, to));
+        });
+    }
+
+    handleExecute(req, res) {
+        const { command: text = '', request_id: requestId = null } = req.body || {};
+        const [name, ...args] = String(text).trim().split(/\s+/);
+        const command = this.state.findCommand(name);
+
+        if (!command) {
+            return res.json({ success: false, message: `Unknown command "${name || ''}"`, request_id: requestId });
+        }
+        if (!this.can(req.session, command.permission || 'commands.execute')) {
+            return res.status(403).json({ success: false, message: `Your role can't run ${command.name}`, request_id: requestId });
+        }
+
+        const result = this.state.executeCommand(command, args);
+        if (!this.scenario.commandDelay) {
+            return res.json({ ...result, request_id: requestId });
+        }
+
+        // Slow commands: accept now, then stream the output over the socket like long-running bot commands
+        res.json({ success: true, pending: true, message: `Running ${command.name}...`, request_id: requestId });
+
+        const lines = result.output.split('\n');
+        const total = between(this.scenario.commandDelay);
+        lines.forEach((line, index) => {
+            const last = index === lines.length - 1;
+            this.later(total * (index + 1) / lines.length, () => {
+                this.io.to(req.session.id).emit('command_result', last
+                    ? { ...result, output: line, request_id: requestId, done: true }
+                    : { success: true, message: line, output: line, request_id: requestId, done: false });
+            });
+        });
+    }
+
+    handleBroadcast(req, res) {
+        const { message, target, guild_ids: guildIds = [], scheduled_at: scheduledAt } = req.body || {};
+        if (!message || !String(message).trim()) {
+            return res.status(400).json({ success: false, message: 'The broadcast message is empty' });
+        }
+
+        const targets = target === 'specific'
+            ? this.state.servers.filter(server => guildIds.includes(server.id))
+            : this.state.servers.slice();
+        if (!targets.length) {
+            return res.status(400).json({ success: false, message: 'No servers selected' });
+        }
+
+        const broadcastId = crypto.randomBytes(6).toString('hex');
+        const delay = scheduledAt ? Math.max(new Date(scheduledAt).getTime() - Date.now(), 0) : 0;
+        const room = req.session.id;
+        res.json({ success: true, broadcast_id: broadcastId, total: targets.length });
+
+        // Delivery reports trickle in one guild at a time
+        const counts = { delivered: 0, failed: 0, skipped: 0 };
+        targets.forEach((server, index) => {
+            this.later(delay + 250 * (index + 1), () => {
+                const roll = Math.random();
+                const status = roll < 0.85 ? 'delivered' : roll < 0.95 ? 'failed' : 'skipped';
+                const reason = { failed: 'Missing permissions in the announcement channel', skipped: 'No announcement channel configured' }[status] || '';
+                counts[status]++;
+
+                this.io.to(room).emit('broadcast_progress', { broadcast_id: broadcastId, guild_id: server.id, guild_name: server.name, status, reason });
+                if (index === targets.length - 1) {
+                    this.io.to(room).emit('broadcast_complete', { broadcast_id: broadcastId, ...counts });
+                }
+            });
+        });
+    }
+
+    // ===== SOCKET.IO =====
+    setupSocket() {
+        this.io.use((socket, next) => {
+            if (this.outage) {
+                return next(new Error('server unavailable'));
+            }
+
+            // SocketManager treats "unauthorized" as an expired session
+            const session = this.readSession(socket.request.headers.cookie);
+            if (!this.isAuthenticated(session)) {
+                return next(new Error('unauthorized'));
+            }
+
+            socket.data.session = session;
+            next();
+        });
+
+        this.io.on('connection', (socket) => {
+            socket.join(socket.data.session.id);
+
+            socket.on('get_initial_data', () => {
+                socket.emit('stats_update', this.state.snapshot());
+                socket.emit('activity_update', this.state.activity.slice(0, 10));
+            });
+
+            socket.on('latency_ping', (sentAt, ack) => {
+                if (typeof ack !== 'function') return;
+                const delay = between(this.scenario.pingDelay);
+                if (delay > 0) {
+                    this.later(delay, () => ack(sentAt));
+                } else {
+                    ack(sentAt);
+                }
+            });
+        });
+    }
+
+    // ===== TRAFFIC =====
+    later(delay, callback) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    every(interval, callback) {
+        this.timers.add(setInterval(callback, interval));
+    }
+
+    startTraffic() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        this.every(this.scenario.statsInterval, () => this.pushStats());
+        this.every(1000, () => {
+            this.state.advancePlayers(1).forEach(player => {
+                this.io.emit('music_update', { guild_id: player.guild_id, player });
+            });
+            this.expireSessions();
+        });
+        this.scheduleActivity();
+
+        if (this.scenario.outage) {
+            this.scheduleOutage();
+        }
+    }
+
+    pushStats() {
+        const { stats, activity } = this.state.tick(this.scenario);
+        this.io.emit('stats_update', stats);
+        activity.forEach(item => this.io.emit('activity_update', item));
+
+        if (Math.random() < this.scenario.alertChance) {
+            this.pushAlert(stats);
+        }
+    }
+
+    pushAlert(stats) {
+        const alerts = [
+            { title: 'High CPU usage', message: `CPU usage is at ${stats.cpu_usage}%` },
+            { title: 'High memory usage', message: `Memory usage is at ${stats.memory_usage}MB` },
+            { title: 'High latency', message: `Gateway latency is ${stats.latency}ms` }
+        ];
+        const alert = { level: 'warning', ...pick(alerts) };
+
+        this.state.addIncident({ ...alert, resolved: true, duration_seconds: Math.round(between([30, 300])) });
+        this.io.emit('system_alert', alert);
+    }
+
+    scheduleActivity() {
+        this.later(between(this.scenario.activityInterval), () => {
+            this.io.emit('activity_update', this.state.addActivity(this.state.randomActivity()));
+            this.scheduleActivity();
+        });
+    }
+
+    scheduleOutage() {
+        const { every, duration } = this.scenario.outage;
+
+        this.later(between(every), () => {
+            const length = between(duration);
+            const incident = this.state.addIncident({
+                level: 'critical',
+                title: 'Socket server outage',
+                message: 'Every dashboard client was dropped and reconnects were refused',
+                downtime: true
+            });
+
+            this.log(`Outage for ${Math.round(length / 1000)}s`);
+            this.outage = true;
+            this.io.disconnectSockets(true);
+
+            this.later(length, () => {
+                this.log('Outage over');
+                this.outage = false;
+                incident.resolved = true;
+                incident.duration_seconds = Math.round(length / 1000);
+                this.scheduleOutage();
+            });
+        });
+    }
+
+    expireSessions() {
+        this.io.sockets.sockets.forEach(socket => {
+            if (this.isAuthenticated(socket.data.session)) return;
+
+            socket.emit('session_expired', { reason: 'expired' });
+            socket.disconnect(true);
+        });
+    }
+}
+
+// ===== ENTRY POINT =====
+function parseArgs(argv) {
+    const options = { port: Number(process.env.PORT) || 5000, scenario: process.env.MOCK_SCENARIO || 'steady' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--scenario') options.scenario = argv[++i];
+        else if (argv[i] === '--list') options.list = true;
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.list) {
+        Object.entries(SCENARIOS).forEach(([name, scenario]) => {
+            console.log(`${name.padEnd(14)} ${scenario.description}`);
+        });
+    } else {
+        try {
+            new MockServer(options).start();
+        } catch (error) {
+            console.error(`[mock] ${error.message}`);
+            process.exit(1);
+        }
+    }
+}
+
+module.exports = MockServer;
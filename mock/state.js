@@ -0,0 +1,632 @@
+// ===== MOCK STATE =====
+// Fake guilds, commands, players, activity and history the mock endpoints read from and mutate
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Seeded so the initial guilds and history are the same on every start
+function createRandom(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value + 0x6d2b79f5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function between([min, max], random = Math.random) {
+    return min + random() * (max - min);
+}
+
+function randomInt(min, max, random = Math.random) {
+    return Math.floor(min + random() * (max - min + 1));
+}
+
+function pick(list, random = Math.random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+const GUILD_WORDS = {
+    first: ['Lo-Fi', 'Midnight', 'Pixel', 'Retro', 'Chill', 'Neon', 'Cozy', 'Bass', 'Indie', 'Synth', 'Vinyl', 'Arcade'],
+    second: ['Lounge', 'Hangout', 'Collective', 'Club', 'Den', 'Study Hall', 'Guild', 'Station', 'Corner', 'Crew']
+};
+
+const TRACKS = [
+    { title: 'Midnight City', author: 'M83', duration: 244 },
+    { title: 'Resonance', author: 'HOME', duration: 212 },
+    { title: 'Nightcall', author: 'Kavinsky', duration: 258 },
+    { title: 'Sunset Lover', author: 'Petit Biscuit', duration: 237 },
+    { title: 'Intro', author: 'The xx', duration: 128 },
+    { title: 'Tadow', author: 'Masego & FKJ', duration: 302 },
+    { title: 'Innerbloom', author: 'RÜFÜS DU SOL', duration: 578 },
+    { title: 'Ghost Voices', author: 'Virtual Self', duration: 314 },
+    { title: 'A Real Hero', author: 'College & Electric Youth', duration: 267 },
+    { title: 'Feel It Still', author: 'Portugal. The Man', duration: 163 },
+    { title: 'Breathe', author: 'Télépopmusik', duration: 277 },
+    { title: 'Kerala', author: 'Bonobo', duration: 242 }
+];
+
+const COMMANDS = [
+    { name: 'play', category: 'music', description: 'Play a song or add it to the queue', aliases: ['p'], usage: 'play <query>', args: [{ name: 'query', type: 'string', description: 'Song name or URL' }], permission: 'music.control', weight: 30 },
+    { name: 'pause', category: 'music', description: 'Pause the current track', usage: 'pause', permission: 'music.control', weight: 6 },
+    { name: 'resume', category: 'music', description: 'Resume playback', usage: 'resume', permission: 'music.control', weight: 5 },
+    { name: 'skip', category: 'music', description: 'Skip to the next track in the queue', aliases: ['s', 'next'], usage: 'skip', permission: 'music.control', weight: 18 },
+    { name: 'stop', category: 'music', description: 'Stop playback and clear the queue', usage: 'stop', permission: 'music.control', weight: 4 },
+    { name: 'queue', category: 'music', description: 'Show the queue', aliases: ['q'], usage: 'queue', weight: 12 },
+    { name: 'volume', category: 'music', description: 'Set the playback volume', aliases: ['vol'], usage: 'volume <0-200>', args: [{ name: 'level', type: 'integer', description: 'Volume between 0 and 200' }], permission: 'music.control', weight: 7 },
+    { name: 'nowplaying', category: 'music', description: 'Show the current track', aliases: ['np'], usage: 'nowplaying', weight: 9 },
+    { name: 'loop', category: 'music', description: 'Loop the current track or the whole queue', usage: 'loop <mode>', args: [{ name: 'mode', choices: ['off', 'track', 'queue'] }], permission: 'music.control', weight: 3 },
+    { name: 'help', category: 'utility', description: 'List the available commands', aliases: ['h'], usage: 'help [command]', weight: 8 },
+    { name: 'ping', category: 'utility', description: 'Check the bot latency', usage: 'ping', weight: 6 },
+    { name: 'status', category: 'utility', description: 'Show bot status and resource usage', usage: 'status', weight: 3 },
+    { name: 'serverlist', category: 'utility', description: 'List the servers the bot is in', usage: 'serverlist', weight: 2 },
+    { name: 'reload', category: 'utility', description: 'Reload all cogs', usage: 'reload', permission: 'commands.reload', weight: 1 },
+    { name: 'leaveserver', category: 'admin', description: 'Make the bot leave a server', usage: 'leaveserver <server>', args: [{ name: 'server', type: 'server', description: 'Server ID' }], permission: 'servers.manage', weight: 0 },
+    { name: 'resetsettings', category: 'admin', description: 'Reset a server\'s settings to the defaults', usage: 'resetsettings <server>', args: [{ name: 'server', type: 'server', description: 'Server ID' }], permission: 'servers.manage', weight: 0 },
+    { name: 'ggstats', category: 'gg', description: 'Show GG leaderboard statistics', usage: 'ggstats', weight: 2 },
+    { name: 'ggreset', category: 'gg', description: 'Reset the GG leaderboard', usage: 'ggreset', permission: 'commands.reload', weight: 0 }
+];
+
+const SETTINGS_SCHEMA = [
+    {
+        id: 'general',
+        label: 'General',
+        description: 'Defaults used in every server unless overridden there',
+        fields: [
+            { key: 'prefix', label: 'Command prefix', type: 'string', required: true, max_length: 5, pattern: '\\S+', pattern_message: 'The prefix cannot contain spaces', default: '!' },
+            { key: 'language', label: 'Language', type: 'string', required: true, options: [{ value: 'en', label: 'English' }, { value: 'de', label: 'Deutsch' }, { value: 'fr', label: 'Français' }, { value: 'es', label: 'Español' }], default: 'en' },
+            { key: 'embed_color', label: 'Embed color', type: 'string', description: 'Hex color used for bot embeds', pattern: '#[0-9a-fA-F]{6}', pattern_message: 'Use a hex color like #5865f2', default: '#5865f2' }
+        ]
+    },
+    {
+        id: 'music',
+        label: 'Music',
+        fields: [
+            { key: 'default_volume', label: 'Default volume', type: 'integer', min: 0, max: 200, default: 100 },
+            { key: 'max_queue_length', label: 'Max queue length', type: 'integer', min: 1, max: 1000, default: 250 },
+            { key: 'auto_leave', label: 'Leave voice when the queue ends', type: 'boolean', default: true },
+            { key: 'dj_role', label: 'DJ role', type: 'string', description: 'Only members with this role can control playback; leave empty to allow everyone', max_length: 100, default: '' }
+        ]
+    },
+    {
+        id: 'logging',
+        label: 'Logging',
+        fields: [
+            { key: 'log_channel', label: 'Log channel', type: 'string', placeholder: '#bot-logs', max_length: 100, default: '' },
+            { key: 'log_commands', label: 'Log every command', type: 'boolean', default: false }
+        ]
+    }
+];
+
+class MockState {
+    constructor() {
+        this.random = createRandom(20240501);
+        this.now = Date.now();
+        this.bootedAt = this.now - randomInt(2 * HOUR, 5 * DAY, this.random);
+        this.nextGuildId = 1;
+        this.nextActivityId = 1;
+
+        this.servers = [];
+        this.departures = [];
+        this.players = new Map();
+        this.activity = [];
+        this.incidents = [];
+        this.commands = COMMANDS.map(command => ({
+            ...command,
+            usage_count: Math.round(command.weight * between([800, 1200], this.random)),
+            usage_today: Math.round(command.weight * between([8, 20], this.random))
+        }));
+        this.commandsUsed = this.commands.reduce((sum, command) => sum + command.usage_count, 0);
+        this.settings = Object.fromEntries(SETTINGS_SCHEMA.flatMap(group => group.fields).map(field => [field.key, field.default]));
+        this.load = { cpu: 20, memory: 210, latency: 60 };
+
+        this.seedServers();
+        this.seedPlayers();
+        this.seedActivity();
+        this.seedIncidents();
+    }
+
+    // ===== SEEDING =====
+    seedServers() {
+        for (let i = 0; i < 48; i++) {
+            // Most guilds are old; a handful joined recently so the growth charts have a slope
+            const age = i < 40 ? between([30 * DAY, 400 * DAY], this.random) : between([HOUR, 30 * DAY], this.random);
+            this.servers.push(this.createServer(this.now - age, this.random));
+        }
+
+        for (let i = 0; i < 5; i++) {
+            this.departures.push(this.now - between([HOUR, 30 * DAY], this.random));
+        }
+    }
+
+    createServer(joinedAt, random = Math.random) {
+        const name = `${pick(GUILD_WORDS.first, random)} ${pick(GUILD_WORDS.second, random)}`;
+        const id = `8${String(1000000000000000 + this.nextGuildId++ * 7919 + randomInt(0, 999, random)).padStart(17, '0')}`;
+
+        return {
+            id,
+            name,
+            icon_url: null,
+            member_count: randomInt(12, 4800, random),
+            joined_at: new Date(joinedAt).toISOString(),
+            owner: `${pick(['sam', 'alex', 'robin', 'kai', 'jules', 'noor'], random)}#${randomInt(1000, 9999, random)}`,
+            command_usage: randomInt(20, 6000, random)
+        };
+    }
+
+    seedPlayers() {
+        this.servers.slice(0, 3).forEach((server, index) => {
+            const queue = Array.from({ length: randomInt(0, 6, this.random) }, () => ({ ...pick(TRACKS, this.random) }));
+            const track = { ...pick(TRACKS, this.random) };
+            this.players.set(server.id, {
+                guild_id: server.id,
+                guild_name: server.name,
+                state: index === 2 ? 'paused' : 'playing',
+                track,
+                position: Math.floor(between([0, track.duration * 0.8], this.random)),
+                volume: pick([60, 80, 100, 120], this.random),
+                queue
+            });
+        });
+    }
+
+    seedActivity() {
+        // Oldest first so ids grow with time, like the real feed
+        const times = Array.from({ length: 900 }, () => this.now - between([0, 30 * DAY], this.random)).sort((a, b) => a - b);
+        times.forEach(time => this.addActivity(this.randomActivity(this.random), time));
+    }
+
+    seedIncidents() {
+        for (let i = 0; i < 6; i++) {
+            const timestamp = this.now - between([DAY, 30 * DAY], this.random);
+            const duration = randomInt(60, 1800, this.random);
+            this.incidents.push({
+                timestamp: new Date(timestamp).toISOString(),
+                level: 'critical',
+                title: 'Gateway outage',
+                message: 'Lost the Discord gateway connection and resumed after reconnecting',
+                duration_seconds: duration,
+                resolved: true,
+                downtime: true
+            });
+        }
+
+        for (let i = 0; i < 3; i++) {
+            this.incidents.push({
+                timestamp: new Date(this.now - between([DAY, 30 * DAY], this.random)).toISOString(),
+                level: 'warning',
+                title: 'Bot restarted',
+                message: 'Process restarted after a deploy',
+                duration_seconds: randomInt(10, 40, this.random),
+                resolved: true,
+                downtime: true,
+                restart: true
+            });
+        }
+
+        this.incidents.push({
+            timestamp: new Date(this.bootedAt).toISOString(),
+            level: 'info',
+            title: 'Bot restarted',
+            message: 'Current process started',
+            duration_seconds: 15,
+            resolved: true,
+            downtime: true,
+            restart: true
+        });
+
+        this.incidents.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    // ===== STATS =====
+    tick(scenario) {
+        // Load wanders inside the scenario's range instead of jumping around
+        Object.entries(scenario.load).forEach(([metric, range]) => {
+            const target = between(range);
+            const next = this.load[metric] + (target - this.load[metric]) * 0.35;
+            this.load[metric] = Math.min(range[1], Math.max(range[0], next));
+        });
+
+        const usage = {};
+        const uses = randomInt(...scenario.commandRate);
+        const weighted = this.commands.filter(command => command.weight > 0);
+        const totalWeight = weighted.reduce((sum, command) => sum + command.weight, 0);
+        for (let i = 0; i < uses; i++) {
+            let roll = Math.random() * totalWeight;
+            const command = weighted.find(candidate => (roll -= candidate.weight) <= 0) || weighted[0];
+            usage[command.name] = (usage[command.name] || 0) + 1;
+            command.usage_count++;
+            command.usage_today++;
+            this.commandsUsed++;
+        }
+
+        // Now and then a guild joins or leaves
+        const changes = [];
+        if (Math.random() < 0.02) {
+            const server = this.createServer(Date.now());
+            this.servers.push(server);
+            changes.push(this.addActivity({ type: 'success', message: `Joined ${server.name}`, guild: server }));
+        } else if (Math.random() < 0.008 && this.servers.length > 10) {
+            const server = this.removeServer(pick(this.servers.slice(3)).id);
+            changes.push(this.addActivity({ type: 'warning', message: `Removed from ${server.name}`, guild: server }));
+        }
+
+        return { stats: this.snapshot(usage), activity: changes };
+    }
+
+    snapshot(commandUsage = {}) {
+        const users = this.servers.reduce((sum, server) => sum + server.member_count, 0);
+        const playing = Array.from(this.players.values()).filter(player => player.state === 'playing').length;
+
+        return {
+            status: 'online',
+            servers: this.servers.length,
+            users,
+            commands_used: this.commandsUsed,
+            music_players: playing,
+            cpu_usage: Math.round(this.load.cpu * 10) / 10,
+            memory_usage: Math.round(this.load.memory),
+            latency: Math.round(this.load.latency),
+            uptime: Math.floor((Date.now() - this.bootedAt) / 1000),
+            command_usage: commandUsage,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    serversAt(time) {
+        const joined = this.servers.filter(server => new Date(server.joined_at).getTime() <= time).length;
+        const departedLater = this.departures.filter(departure => departure > time).length;
+        return joined + departedLater;
+    }
+
+    history(range) {
+        const match = /^(\d+)([hd])$/.exec(range || '24h');
+        const rangeMs = match ? parseInt(match[1]) * (match[2] === 'h' ? HOUR : DAY) : DAY;
+        const bucketSeconds = rangeMs <= HOUR ? 300 : rangeMs <= DAY ? 3600 : rangeMs <= 7 * DAY ? 6 * 3600 : 86400;
+        const bucketMs = bucketSeconds * 1000;
+
+        const now = Date.now();
+        const growth = [];
+        for (let bucket = Math.floor((now - rangeMs) / bucketMs) * bucketMs + bucketMs; bucket <= now; bucket += bucketMs) {
+            growth.push({ timestamp: new Date(bucket).toISOString(), servers: this.serversAt(bucket + bucketMs - 1) });
+        }
+
+        return {
+            range,
+            bucket_seconds: bucketSeconds,
+            commands: this.commandCounts(rangeMs / DAY),
+            growth
+        };
+    }
+
+    commandCounts(days) {
+        // usage_today is roughly a day's worth; longer ranges scale it with a little noise
+        return this.commands
+            .map(command => ({ name: command.name, count: Math.round(command.usage_today * days * between([0.85, 1.15])) }))
+            .filter(command => command.count > 0);
+    }
+
+    // ===== ACTIVITY =====
+    randomActivity(random = Math.random) {
+        const server = pick(this.servers, random);
+        const track = pick(TRACKS, random);
+        const command = pick(this.commands.filter(candidate => candidate.weight > 0), random);
+        const templates = [
+            { type: 'success', message: `/${command.name} used in ${server.name}` },
+            { type: 'success', message: `/${command.name} used in ${server.name}` },
+            { type: 'info', message: `Now playing "${track.title}" by ${track.author} in ${server.name}` },
+            { type: 'info', message: `Queued "${track.title}" in ${server.name}` },
+            { type: 'warning', message: `Voice connection unstable in ${server.name}, reconnecting` },
+            { type: 'warning', message: 'Rate limited on POST /channels/:id/messages, retrying in 2s' },
+            { type: 'error', message: `/${command.name} failed in ${server.name}: Missing permissions` }
+        ];
+        return { ...pick(templates, random), guild: server };
+    }
+
+    addActivity({ type, message, guild }, time = Date.now()) {
+        const item = {
+            id: this.nextActivityId++,
+            type,
+            message,
+            timestamp: new Date(time).toISOString(),
+            guild_id: guild?.id || null,
+            guild_name: guild?.name || null
+        };
+        this.activity.unshift(item);
+        return item;
+    }
+
+    queryActivity({ limit, type, guild, q, since, before }) {
+        const max = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const beforeId = before ? parseInt(before) : null;
+        const guildNeedle = guild ? guild.toLowerCase() : '';
+        const query = q ? q.toLowerCase() : '';
+
+        const matches = this.activity.filter(item =>
+            (!beforeId || item.id < beforeId) &&
+            (!type || type === 'all' || item.type === type) &&
+            (!sinceTime || new Date(item.timestamp).getTime() >= sinceTime) &&
+            (!guildNeedle || `${item.guild_id || ''} ${item.guild_name || ''}`.toLowerCase().includes(guildNeedle)) &&
+            (!query || item.message.toLowerCase().includes(query))
+        );
+
+        const items = matches.slice(0, max);
+        return {
+            items,
+            next_cursor: matches.length > max ? String(items[items.length - 1].id) : null
+        };
+    }
+
+    // ===== SERVERS =====
+    serializeServer(server) {
+        const player = this.players.get(server.id);
+        return {
+            id: server.id,
+            name: server.name,
+            icon_url: server.icon_url,
+            member_count: server.member_count,
+            joined_at: server.joined_at,
+            command_usage: server.command_usage,
+            music: player ? {
+                playing: player.state === 'playing',
+                paused: player.state === 'paused',
+                track: player.track ? { title: player.track.title } : null
+            } : {}
+        };
+    }
+
+    getServerDetail(id) {
+        const server = this.servers.find(candidate => candidate.id === String(id));
+        if (!server) return null;
+
+        // Split the guild's total across commands in proportion to their popularity
+        const weighted = this.commands.filter(command => command.weight > 0);
+        const totalWeight = weighted.reduce((sum, command) => sum + command.weight, 0);
+        const breakdown = weighted
+            .map(command => ({ name: command.name, count: Math.round(server.command_usage * command.weight / totalWeight) }))
+            .filter(item => item.count > 0)
+            .sort((a, b) => b.count - a.count);
+
+        return { ...this.serializeServer(server), owner: server.owner, command_usage_breakdown: breakdown };
+    }
+
+    removeServer(id) {
+        const index = this.servers.findIndex(server => server.id === String(id));
+        if (index === -1) return null;
+
+        const [server] = this.servers.splice(index, 1);
+        this.players.delete(server.id);
+        this.departures.push(Date.now());
+        return server;
+    }
+
+    // ===== MUSIC =====
+    advancePlayers(seconds) {
+        // Returns the players whose track changed so the server can push music_update
+        const changed = [];
+        this.players.forEach(player => {
+            if (player.state !== 'playing' || !player.track) return;
+
+            player.position += seconds;
+            if (player.position < player.track.duration) return;
+
+            player.track = player.queue.shift() || null;
+            player.position = 0;
+            if (!player.track) {
+                player.state = 'idle';
+            }
+            changed.push(player);
+        });
+        return changed;
+    }
+
+    controlPlayer(guildId, action, params = {}) {
+        const player = this.players.get(String(guildId));
+        if (!player) {
+            return { status: 404, body: { success: false, message: 'No player in that server' } };
+        }
+
+        const fail = (message) => ({ status: 400, body: { success: false, message, player } });
+
+        switch (action) {
+            case 'play':
+                if (!player.track) return fail('Nothing to play, the queue is empty');
+                player.state = 'playing';
+                break;
+            case 'pause':
+                if (player.state !== 'playing') return fail('Nothing is playing');
+                player.state = 'paused';
+                break;
+            case 'skip':
+                player.track = player.queue.shift() || null;
+                player.position = 0;
+                player.state = player.track ? 'playing' : 'idle';
+                break;
+            case 'stop':
+                player.track = null;
+                player.queue = [];
+                player.position = 0;
+                player.state = 'idle';
+                break;
+            case 'seek':
+                if (!player.track) return fail('Nothing to seek in');
+                player.position = Math.min(Math.max(parseInt(params.position) || 0, 0), player.track.duration);
+                break;
+            case 'volume':
+                player.volume = Math.min(Math.max(parseInt(params.volume) || 0, 0), 200);
+                break;
+            case 'remove':
+                if (!player.queue[params.index]) return fail('No track at that position');
+                player.queue.splice(params.index, 1);
+                break;
+            case 'move': {
+                const { from, to } = params;
+                if (!player.queue[from] || to < 0 || to >= player.queue.length) return fail('Invalid queue positions');
+                const [item] = player.queue.splice(from, 1);
+                player.queue.splice(to, 0, item);
+                break;
+            }
+            default:
+                return fail(`Unknown action "${action}"`);
+        }
+
+        return { status: 200, body: { success: true, player } };
+    }
+
+    // ===== COMMANDS =====
+    findCommand(name) {
+        const needle = String(name || '').toLowerCase();
+        return this.commands.find(command => command.name === needle || (command.aliases || []).includes(needle));
+    }
+
+    executeCommand(command, args) {
+        command.usage_count++;
+        command.usage_today++;
+        this.commandsUsed++;
+
+        const ok = (message, lines = [message]) => ({ success: true, message, output: lines.join('\n') });
+        const fail = (message) => ({ success: false, message, output: message });
+        const player = Array.from(this.players.values()).find(candidate => candidate.track);
+        const findServer = () => this.servers.find(server => server.id === args[0]);
+
+        switch (command.name) {
+            case 'ping':
+                return ok(`Pong! ${Math.round(this.load.latency)}ms`);
+            case 'status': {
+                const stats = this.snapshot();
+                return ok('Bot is online', [
+                    'Bot is online',
+                    `Servers: ${stats.servers}`,
+                    `Users: ${stats.users}`,
+                    `CPU: ${stats.cpu_usage}%`,
+                    `Memory: ${stats.memory_usage}MB`,
+                    `Uptime: ${Math.floor(stats.uptime / 3600)}h ${Math.floor(stats.uptime % 3600 / 60)}m`
+                ]);
+            }
+            case 'serverlist': {
+                const servers = this.servers.slice().sort((a, b) => b.member_count - a.member_count);
+                return ok(`In ${servers.length} servers`, [
+                    `In ${servers.length} servers, largest first:`,
+                    ...servers.slice(0, 10).map(server => `${server.name} (${server.id}): ${server.member_count} members`)
+                ]);
+            }
+            case 'reload':
+                return ok('Reloaded 5 cogs', ['music', 'utility', 'admin', 'gg', 'events'].map(cog => `Reloaded ${cog}`).concat('Reloaded 5 cogs'));
+            case 'help':
+                return ok(`${this.commands.length} commands available`, this.commands.map(item => `${item.usage.padEnd(24)} ${item.description}`));
+            case 'leaveserver': {
+                const server = findServer();
+                if (!server) return fail(`Unknown server "${args[0] || ''}"`);
+                this.removeServer(server.id);
+                this.addActivity({ type: 'warning', message: `Left ${server.name}`, guild: server });
+                return ok(`Left ${server.name}`);
+            }
+            case 'resetsettings': {
+                const server = findServer();
+                if (!server) return fail(`Unknown server "${args[0] || ''}"`);
+                return ok(`Settings for ${server.name} reset to defaults`);
+            }
+            case 'play':
+                if (!args.length) return fail('Usage: play <query>');
+                return ok(`Queued "${args.join(' ')}"`);
+            case 'queue':
+                if (!player) return ok('Nothing is playing');
+                return ok(`${player.queue.length} tracks queued in ${player.guild_name}`, [
+                    `Now playing: ${player.track.title} by ${player.track.author}`,
+                    ...player.queue.map((track, index) => `${index + 1}. ${track.title} by ${track.author}`)
+                ]);
+            case 'nowplaying':
+                if (!player) return ok('Nothing is playing');
+                return ok(`Now playing "${player.track.title}" by ${player.track.author} in ${player.guild_name}`);
+            case 'volume': {
+                const level = parseInt(args[0]);
+                if (!Number.isInteger(level) || level < 0 || level > 200) return fail('Volume must be between 0 and 200');
+                return ok(`Volume set to ${level}%`);
+            }
+            default:
+                return ok(`Executed ${command.name}${args.length ? ` ${args.join(' ')}` : ''}`);
+        }
+    }
+
+    // ===== SETTINGS =====
+    validateSettings(values) {
+        const fields = new Map(SETTINGS_SCHEMA.flatMap(group => group.fields).map(field => [field.key, field]));
+        const errors = {};
+
+        Object.entries(values).forEach(([key, value]) => {
+            const field = fields.get(key);
+            if (!field) {
+                errors[key] = 'Unknown setting';
+            } else if (field.required && (value === '' || value === null || value === undefined)) {
+                errors[key] = `${field.label} is required`;
+            } else if ((field.type === 'integer' || field.type === 'number') && value !== null) {
+                if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+                    errors[key] = `${field.label} must be a ${field.type === 'integer' ? 'whole number' : 'number'}`;
+                } else if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                    errors[key] = `${field.label} must be between ${field.min} and ${field.max}`;
+                }
+            } else if (typeof value === 'string' && value) {
+                if (field.max_length && value.length > field.max_length) {
+                    errors[key] = `${field.label} must be at most ${field.max_length} characters`;
+                } else if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+                    errors[key] = field.pattern_message || `${field.label} has an invalid format`;
+                } else if (field.options && !field.options.some(option => option.value === value)) {
+                    errors[key] = `${field.label} must be one of the listed options`;
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    // ===== REPORTS =====
+    report(from, to) {
+        const start = from.getTime();
+        const end = Math.min(to.getTime(), Date.now());
+        const days = Math.max(end - start, 0) / DAY;
+        const inRange = (time) => time >= start && time <= end;
+
+        const top = this.commandCounts(days).sort((a, b) => b.count - a.count);
+        const bucket = days > 2 ? DAY : HOUR;
+        const points = [];
+        for (let time = Math.floor(start / bucket) * bucket; time <= end; time += bucket) {
+            points.push({ timestamp: new Date(time).toISOString(), servers: this.serversAt(time + bucket - 1) });
+        }
+
+        const incidents = this.incidents.filter(incident => inRange(new Date(incident.timestamp).getTime()));
+        const downtime = incidents.filter(incident => incident.downtime).reduce((sum, incident) => sum + (incident.duration_seconds || 0), 0);
+        const rangeSeconds = (end - start) / 1000;
+
+        return {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            commands: { total: top.reduce((sum, command) => sum + command.count, 0), top },
+            growth: {
+                start: this.serversAt(start),
+                end: this.serversAt(end),
+                joined: this.servers.filter(server => inRange(new Date(server.joined_at).getTime())).length,
+                left: this.departures.filter(inRange).length,
+                points
+            },
+            uptime: {
+                percent: rangeSeconds > 0 ? Math.max(0, 100 * (1 - downtime / rangeSeconds)) : null,
+                downtime_seconds: downtime,
+                restarts: incidents.filter(incident => incident.restart).length
+            },
+            incidents: incidents.map(({ timestamp, level, title, message, duration_seconds, resolved }) => (
+                { timestamp, level, title, message, duration_seconds, resolved }
+            ))
+        };
+    }
+
+    addIncident(incident) {
+        const entry = { timestamp: new Date().toISOString(), resolved: false, duration_seconds: null, ...incident };
+        this.incidents.push(entry);
+        return entry;
+    }
+}
+
+module.exports = { MockState, SETTINGS_SCHEMA, TRACKS, between, randomInt, pick };
@@ -0,0 +1,305 @@
+// ===== ACTIVITY LOG =====
+// Full, filterable activity history with infinite scroll and live updates
+
+class ActivityLog {
+    constructor() {
+        this.items = [];
+        this.seenKeys = new Set();
+        this.nextCursor = null;
+        this.hasMore = true;
+        this.isLoading = false;
+        this.loadFailed = false;
+        this.replaying = false;
+        this.requestToken = 0;
+        this.pageSize = 50;
+        this.exportPageSize = 500;
+        this.maxExportItems = 10000;
+        this.filters = {
+            type: 'all',
+            guild: '',
+            range: '24h',
+            query: ''
+        };
+
+        this.list = document.getElementById('activityLogList');
+        this.sentinel = document.getElementById('activityLogSentinel');
+        this.observer = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.list) return;
+
+        this.setupEventListeners();
+        this.setupInfiniteScroll();
+        this.subscribeToSocket();
+        this.reload();
+    }
+
+    // ===== SETUP FUNCTIONS =====
+    setupEventListeners() {
+        const bindFilter = (id, key, event = 'change') => {
+            const element = document.getElementById(id);
+            element?.addEventListener(event, debounce(() => {
+                this.filters[key] = element.value.trim();
+                this.reload();
+            }, event === 'input' ? 250 : 0));
+        };
+
+        bindFilter('activityTypeFilter', 'type');
+        bindFilter('activityRangeFilter', 'range');
+        bindFilter('activityServerFilter', 'guild', 'input');
+        bindFilter('activitySearch', 'query', 'input');
+
+        document.getElementById('activityLogRetry')?.addEventListener('click', () => this.loadMore(true));
+    }
+
+    setupInfiniteScroll() {
+        if (!this.sentinel || !('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        }, { rootMargin: '200px' });
+
+        this.observer.observe(this.sentinel);
+    }
+
+    subscribeToSocket() {
+        // A view listener: during a session replay the log shows the recorded activity instead
+        window.socketManager?.on('activity_update', (data) => {
+            const activities = Array.isArray(data) ? data : [data];
+            this.prependLive(activities);
+        }, { view: true });
+    }
+
+    // ===== DATA HANDLING =====
+    reload() {
+        // A replay owns the list until it ends, and the history is fetched again then
+        if (this.replaying) return;
+
+        this.items = [];
+        this.seenKeys.clear();
+        this.nextCursor = null;
+        this.hasMore = true;
+        this.loadFailed = false;
+        this.list.innerHTML = '';
+        this.loadMore(true);
+    }
+
+    buildQuery(cursor = this.nextCursor, limit = this.pageSize) {
+        const params = new URLSearchParams({ limit });
+
+        if (this.filters.type !== 'all') params.set('type', this.filters.type);
+        if (this.filters.guild) params.set('guild', this.filters.guild);
+        if (this.filters.query) params.set('q', this.filters.query);
+
+        const since = this.getSince();
+        if (since) params.set('since', new Date(since).toISOString());
+        if (cursor) params.set('before', cursor);
+
+        return params.toString();
+    }
+
+    getSince() {
+        const ranges = {
+            '1h': 60 * 60 * 1000,
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000,
+            '30d': 30 * 24 * 60 * 60 * 1000
+        };
+        return ranges[this.filters.range] ? Date.now() - ranges[this.filters.range] : null;
+    }
+
+    async loadMore(force = false) {
+        // After a failure only the Retry button (or a filter change) asks again
+        if ((this.isLoading || this.loadFailed) && !force) return;
+        if (!this.hasMore || this.replaying) return;
+
+        // A newer filter change invalidates any request still in flight
+        const token = ++this.requestToken;
+        this.isLoading = true;
+        this.loadFailed = false;
+        this.setStatus('Loading...');
+
+        try {
+            const data = await window.apiClient.get(`/api/activity?${this.buildQuery()}`);
+            if (token !== this.requestToken) return;
+
+            const fresh = (data.items || []).filter(item => this.remember(item));
+            this.items.push(...fresh);
+            fresh.forEach(item => this.list.appendChild(this.createItem(item)));
+
+            this.nextCursor = data.next_cursor || null;
+            this.hasMore = Boolean(this.nextCursor);
+            this.setStatus(this.items.length ? (this.hasMore ? '' : 'No older activity') : 'No activity matches your filters');
+        } catch (error) {
+            if (token !== this.requestToken) return;
+            console.error('Failed to load activity:', error);
+            this.loadFailed = true;
+            this.setStatus(`Failed to load activity: ${error.message}`);
+        } finally {
+            if (token === this.requestToken) {
+                this.isLoading = false;
+            }
+        }
+
+        // The observer only fires on changes, so keep filling while the sentinel stays visible
+        if (token === this.requestToken && !this.loadFailed && this.hasMore && this.isSentinelVisible()) {
+            this.loadMore();
+        }
+    }
+
+    // ===== SESSION REPLAY =====
+    resetReplay() {
+        // Drops anything still in flight and starts the list from the recording
+        if (!this.list) return;
+        this.replaying = true;
+        this.requestToken++;
+        this.isLoading = false;
+        this.loadFailed = false;
+        this.hasMore = false;
+        this.items = [];
+        this.seenKeys.clear();
+        this.list.innerHTML = '';
+        this.setStatus('Showing activity from the replayed session');
+    }
+
+    endReplay() {
+        if (!this.replaying) return;
+        this.replaying = false;
+        this.reload();
+    }
+
+    isSentinelVisible() {
+        if (!this.sentinel) return false;
+        return this.sentinel.getBoundingClientRect().top < window.innerHeight + 200;
+    }
+
+    prependLive(activities) {
+        const time = (item) => new Date(item.timestamp).getTime() || 0;
+        const fresh = activities
+            .filter(item => this.matchesFilters(item) && this.remember(item))
+            .sort((a, b) => time(b) - time(a));
+        if (!fresh.length) return;
+
+        // Insert oldest to newest so the newest ends up on top
+        fresh.slice().reverse().forEach(item => {
+            this.items.unshift(item);
+            const element = this.createItem(item);
+            element.classList.add('fade-in');
+            this.list.prepend(element);
+        });
+
+        this.setStatus(this.hasMore ? '' : 'No older activity');
+    }
+
+    remember(item) {
+        const key = this.getKey(item);
+        if (this.seenKeys.has(key)) return false;
+        this.seenKeys.add(key);
+        return true;
+    }
+
+    getKey(item) {
+        return window.dashboard ? window.dashboard.getActivityKey(item) : `${item.timestamp}|${item.message}`;
+    }
+
+    matchesFilters(item) {
+        const { type, guild, query } = this.filters;
+        const since = this.getSince();
+
+        if (type !== 'all' && item.type !== type) return false;
+        if (since && new Date(item.timestamp).getTime() < since) return false;
+        if (guild) {
+            const needle = guild.toLowerCase();
+            const guildText = `${item.guild_id || ''} ${item.guild_name || ''}`.toLowerCase();
+            if (!guildText.includes(needle)) return false;
+        }
+        if (query && !String(item.message).toLowerCase().includes(query.toLowerCase())) return false;
+        return true;
+    }
+
+    // ===== EXPORT =====
+    async export(format) {
+        // Exports cover the whole filtered range, not just the pages scrolled into view
+        window.dashboard?.showNotification('Preparing activity export...', 'info');
+
+        let items;
+        try {
+            items = await this.fetchAll();
+        } catch (error) {
+            window.dashboard?.showNotification(`Export failed: ${error.message}`, 'error');
+            return;
+        }
+
+        const columns = [
+            { label: 'Timestamp', value: item => new Date(item.timestamp).toISOString() },
+            { label: 'Type', value: item => item.type },
+            { label: 'Message', value: item => item.message },
+            { label: 'Server', value: item => item.guild_name || '' },
+            { label: 'Server ID', value: item => item.guild_id || '' }
+        ];
+
+        window.exportManager.exportRows(`musebot-activity-${this.filters.range}-${exportTimestamp()}`, items, columns, format, {
+            filters: { ...this.filters }
+        });
+
+        if (items.length >= this.maxExportItems) {
+            window.dashboard?.showNotification(`Export capped at ${this.maxExportItems} entries; narrow the filters for older activity`, 'warning');
+        }
+    }
+
+    async fetchAll() {
+        const items = [];
+        let cursor = null;
+
+        do {
+            const data = await window.apiClient.get(`/api/activity?${this.buildQuery(cursor, this.exportPageSize)}`);
+            items.push(...(data.items || []));
+            cursor = data.next_cursor || null;
+        } while (cursor && items.length < this.maxExportItems);
+
+        return items.slice(0, this.maxExportItems);
+    }
+
+    // ===== RENDERING =====
+    createItem(item) {
+        const element = window.dashboard.createActivityItem(item);
+        const time = element.querySelector('.activity-time');
+        time.textContent = new Date(item.timestamp).toLocaleString();
+
+        if (item.guild_name || item.guild_id) {
+            const guild = document.createElement('span');
+            guild.className = 'activity-guild';
+            guild.textContent = item.guild_name || item.guild_id;
+            time.after(guild);
+        }
+
+        return element;
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('activityLogStatus');
+        if (status) {
+            status.textContent = message;
+        }
+
+        const retry = document.getElementById('activityLogRetry');
+        if (retry) {
+            retry.hidden = !this.loadFailed;
+        }
+    }
+}
+
+// Initialize activity log when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.activityLog = new ActivityLog();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivityLog;
+}
@@ -0,0 +1,372 @@
+// ===== ALERT RULES =====
+// Client-side threshold rules for system metrics, plus the progress-bar scale they share
+
+class AlertRules {
+    constructor() {
+        this.storageKey = 'alertRules';
+        this.metricDefinitions = {
+            cpu: { label: 'CPU Usage', unit: '%', read: (stats) => parseFloat(stats.cpu_usage) },
+            memory: { label: 'Memory Usage', unit: 'MB', read: (stats) => parseInt(stats.memory_usage) },
+            latency: { label: 'Latency', unit: 'ms', read: (stats) => parseInt(stats.latency) }
+        };
+        this.severityTypes = { info: 'info', warning: 'warning', critical: 'error' };
+
+        this.config = this.load();
+        this.ruleState = new Map();
+        this.notifierLock = 'musebot-alerts-notifier';
+        this.isNotifier = false;
+        this.dialog = null;
+
+        this.init();
+    }
+
+    init() {
+        this.claimNotifier();
+        this.subscribeToSocket();
+    }
+
+    claimNotifier() {
+        // Every tab tracks the rules so a takeover doesn't re-fire them, but only the lock holder announces breaches
+        if (!navigator.locks) {
+            this.isNotifier = true;
+            return;
+        }
+
+        navigator.locks.request(this.notifierLock, () => {
+            this.isNotifier = true;
+            return new Promise(() => {});
+        });
+    }
+
+    subscribeToSocket() {
+        window.socketManager?.on('stats_update', (data) => this.evaluate(data));
+        window.socketManager?.on('polling_update', (data) => {
+            if (data.stats) {
+                this.evaluate(data.stats);
+            }
+        });
+    }
+
+    // ===== CONFIGURATION =====
+    getDefaults() {
+        // Mirrors the old hard-coded scale: 60% of max turns the bar yellow, 80% red
+        return {
+            maxima: { cpu: 100, memory: 1000, latency: 200 },
+            rules: [
+                { id: 'cpu-warning', metric: 'cpu', operator: '>', threshold: 60, duration: 30, severity: 'warning', notify: false, enabled: true },
+                { id: 'cpu-critical', metric: 'cpu', operator: '>', threshold: 80, duration: 30, severity: 'critical', notify: false, enabled: true },
+                { id: 'memory-warning', metric: 'memory', operator: '>', threshold: 600, duration: 60, severity: 'warning', notify: false, enabled: true },
+                { id: 'memory-critical', metric: 'memory', operator: '>', threshold: 800, duration: 60, severity: 'critical', notify: false, enabled: true },
+                { id: 'latency-warning', metric: 'latency', operator: '>', threshold: 120, duration: 60, severity: 'warning', notify: false, enabled: true },
+                { id: 'latency-critical', metric: 'latency', operator: '>', threshold: 160, duration: 60, severity: 'critical', notify: false, enabled: true }
+            ]
+        };
+    }
+
+    load() {
+        const defaults = this.getDefaults();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                return {
+                    maxima: { ...defaults.maxima, ...stored.maxima },
+                    rules: Array.isArray(stored.rules) ? stored.rules : defaults.rules
+                };
+            }
+        } catch (error) {
+            console.error('Failed to load alert rules:', error);
+        }
+        return defaults;
+    }
+
+    save(config) {
+        this.config = config;
+        this.ruleState.clear();
+        localStorage.setItem(this.storageKey, JSON.stringify(config));
+    }
+
+    // ===== EVALUATION =====
+    readMetrics(stats) {
+        const values = {};
+        Object.entries(this.metricDefinitions).forEach(([metric, definition]) => {
+            const value = definition.read(stats);
+            if (Number.isFinite(value)) {
+                values[metric] = value;
+            }
+        });
+        return values;
+    }
+
+    isBreached(rule, value) {
+        return rule.operator === '<' ? value < rule.threshold : value > rule.threshold;
+    }
+
+    evaluate(stats) {
+        const values = this.readMetrics(stats);
+        const now = stats.timestamp ? new Date(stats.timestamp).getTime() : Date.now();
+
+        this.config.rules.forEach(rule => {
+            const value = values[rule.metric];
+            if (!rule.enabled || value === undefined) return;
+
+            const state = this.ruleState.get(rule.id) || { since: null, firing: false };
+
+            if (!this.isBreached(rule, value)) {
+                if (state.firing) {
+                    this.resolve(rule, value);
+                }
+                this.ruleState.delete(rule.id);
+                return;
+            }
+
+            // A rule only fires once the breach has been sustained for its duration
+            state.since = state.since ?? now;
+            if (!state.firing && now - state.since >= rule.duration * 1000) {
+                state.firing = true;
+                this.fire(rule, value);
+            }
+            this.ruleState.set(rule.id, state);
+        });
+    }
+
+    fire(rule, value) {
+        if (!this.isNotifier) return;
+
+        const definition = this.metricDefinitions[rule.metric];
+        const message = `${definition.label} is ${value}${definition.unit} (${this.describe(rule)})`;
+
+        window.dashboard?.showNotification(message, this.severityTypes[rule.severity] || 'warning', {
+            source: 'alert',
+            title: `${rule.severity.charAt(0).toUpperCase()}${rule.severity.slice(1)} alert`
+        });
+
+        if (rule.notify && 'Notification' in window && Notification.permission === 'granted') {
+            new Notification('MuseBot alert', { body: message, tag: rule.id });
+        }
+    }
+
+    resolve(rule, value) {
+        if (!this.isNotifier) return;
+
+        const definition = this.metricDefinitions[rule.metric];
+        window.dashboard?.showNotification(
+            `${definition.label} back to ${value}${definition.unit} (${this.describe(rule)})`,
+            'success',
+            { source: 'alert', title: 'Resolved' }
+        );
+    }
+
+    describe(rule) {
+        const definition = this.metricDefinitions[rule.metric];
+        return `${rule.operator} ${rule.threshold}${definition.unit} for ${rule.duration}s`;
+    }
+
+    // ===== PROGRESS BAR SCALE =====
+    getProgress(metric, value) {
+        const max = this.config.maxima[metric] || 100;
+        const percent = Math.min(Math.max((value / max) * 100, 0), 100);
+
+        // The bar takes the color of the most severe enabled rule the value currently breaches
+        const breached = this.config.rules.filter(rule =>
+            rule.enabled && rule.metric === metric && this.isBreached(rule, value)
+        );
+        const level = ['critical', 'warning', 'info'].find(severity =>
+            breached.some(rule => rule.severity === severity)
+        ) || 'normal';
+
+        return { percent, level };
+    }
+
+    // ===== RULES EDITOR =====
+    open() {
+        if (!this.dialog) {
+            this.createDialog();
+        }
+        this.renderEditor(this.config);
+        this.dialog.show();
+    }
+
+    createDialog() {
+        this.dialog = document.createElement('sl-dialog');
+        this.dialog.label = 'Alert Rules';
+        this.dialog.className = 'alert-rules-modal';
+        this.dialog.innerHTML = `
+            <div class="alert-rules-editor">
+                <h4>Progress bar maxima</h4>
+                <div class="alert-maxima"></div>
+                <h4>Rules</h4>
+                <div class="alert-rule-list"></div>
+                <button type="button" class="view-all" data-alert-action="add">
+                    <i class="fas fa-plus"></i> Add rule
+                </button>
+                <p class="alert-rules-error" hidden></p>
+            </div>
+            <sl-button slot="footer" variant="default" data-alert-action="reset">Reset to defaults</sl-button>
+            <sl-button slot="footer" variant="default" data-alert-action="cancel">Cancel</sl-button>
+            <sl-button slot="footer" variant="primary" data-alert-action="save">Save</sl-button>
+        `;
+        document.body.appendChild(this.dialog);
+
+        this.dialog.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-alert-action]')?.dataset.alertAction;
+            const config = this.readEditor();
+
+            switch (action) {
+                case 'add':
+                    config.rules.push({
+                        id: `rule-${Date.now().toString(36)}`,
+                        metric: 'latency',
+                        operator: '>',
+                        threshold: 250,
+                        duration: 60,
+                        severity: 'warning',
+                        notify: false,
+                        enabled: true
+                    });
+                    this.renderEditor(config);
+                    break;
+                case 'remove':
+                    config.rules.splice(Number(e.target.closest('[data-index]').dataset.index), 1);
+                    this.renderEditor(config);
+                    break;
+                case 'reset':
+                    this.renderEditor(this.getDefaults());
+                    break;
+                case 'cancel':
+                    this.dialog.hide();
+                    break;
+                case 'save':
+                    this.submit(config);
+                    break;
+            }
+        });
+
+        this.dialog.addEventListener('change', (e) => {
+            if (e.target.matches('[data-field="notify"]') && e.target.checked) {
+                this.requestPermission(e.target);
+            }
+        });
+    }
+
+    renderEditor(config) {
+        const metricOptions = (selected) => Object.entries(this.metricDefinitions).map(([metric, definition]) =>
+            `<option value="${metric}" ${metric === selected ? 'selected' : ''}>${definition.label}</option>`
+        ).join('');
+        const options = (values, selected) => values.map(value =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`
+        ).join('');
+
+        this.dialog.querySelector('.alert-maxima').innerHTML = Object.entries(this.metricDefinitions).map(([metric, definition]) => `
+            <label class="form-group">
+                <span class="form-label">${definition.label} (${definition.unit})</span>
+                <input type="number" class="form-control" min="1" data-max="${metric}" value="${config.maxima[metric]}">
+            </label>
+        `).join('');
+
+        const list = this.dialog.querySelector('.alert-rule-list');
+        list.innerHTML = config.rules.length ? config.rules.map((rule, index) => `
+            <div class="alert-rule" data-index="${index}" data-id="${escapeHtml(rule.id)}">
+                <input type="checkbox" class="form-check-input" data-field="enabled" title="Enabled" ${rule.enabled ? 'checked' : ''}>
+                <select class="form-select" data-field="metric">${metricOptions(rule.metric)}</select>
+                <select class="form-select" data-field="operator">${options(['>', '<'], rule.operator)}</select>
+                <input type="number" class="form-control" data-field="threshold" value="${rule.threshold}" title="Threshold">
+                <span class="alert-rule-label">for</span>
+                <input type="number" class="form-control" data-field="duration" min="0" value="${rule.duration}" title="Sustained for (seconds)">
+                <span class="alert-rule-label">s</span>
+                <select class="form-select" data-field="severity">${options(['info', 'warning', 'critical'], rule.severity)}</select>
+                <label class="form-check" title="Also show a browser notification">
+                    <input type="checkbox" class="form-check-input" data-field="notify" ${rule.notify ? 'checked' : ''}>
+                    <i class="fas fa-desktop"></i>
+                </label>
+                <button type="button" class="console-btn" data-alert-action="remove" title="Remove rule">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('') : '<p class="music-empty">No rules configured</p>';
+
+        this.setError('');
+    }
+
+    readEditor() {
+        const maxima = {};
+        this.dialog.querySelectorAll('[data-max]').forEach(input => {
+            maxima[input.dataset.max] = Number(input.value);
+        });
+
+        const rules = [...this.dialog.querySelectorAll('.alert-rule')].map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`);
+            return {
+                id: row.dataset.id,
+                metric: field('metric').value,
+                operator: field('operator').value,
+                threshold: Number(field('threshold').value),
+                duration: Number(field('duration').value),
+                severity: field('severity').value,
+                notify: field('notify').checked,
+                enabled: field('enabled').checked
+            };
+        });
+
+        return { maxima, rules };
+    }
+
+    submit(config) {
+        const invalidMax = Object.entries(config.maxima).find(([, value]) => !(value > 0));
+        if (invalidMax) {
+            this.setError(`${this.metricDefinitions[invalidMax[0]].label} maximum must be greater than 0`);
+            return;
+        }
+
+        const invalidRule = config.rules.findIndex(rule =>
+            !Number.isFinite(rule.threshold) || !Number.isFinite(rule.duration) || rule.duration < 0
+        );
+        if (invalidRule !== -1) {
+            this.setError(`Rule ${invalidRule + 1} needs a numeric threshold and a non-negative duration`);
+            return;
+        }
+
+        this.save(config);
+        this.dialog.hide();
+        window.dashboard?.showNotification('Alert rules saved', 'success');
+    }
+
+    async requestPermission(checkbox) {
+        if (!('Notification' in window)) {
+            checkbox.checked = false;
+            this.setError('This browser does not support desktop notifications');
+            return;
+        }
+
+        if (Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+
+        if (Notification.permission !== 'granted') {
+            checkbox.checked = false;
+            this.setError('Browser notifications are blocked for this site');
+        }
+    }
+
+    setError(message) {
+        const error = this.dialog?.querySelector('.alert-rules-error');
+        if (error) {
+            error.textContent = message;
+            error.hidden = !message;
+        }
+    }
+}
+
+// Initialize alert rules when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.alertRules = new AlertRules();
+});
+
+// ===== GLOBAL FUNCTIONS FOR HTML ONCLICK =====
+function showAlertRules() {
+    window.alertRules?.open();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlertRules;
+}
@@ -0,0 +1,236 @@
+// ===== API CLIENT =====
+// Single entry point for HTTP calls: timeouts, GET retries, structured errors and auth hooks
+
+class ApiError extends Error {
+    constructor(message, { status = 0, code = 'http_error', data = null, url = '', retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.data = data;
+        this.url = url;
+        this.retryAfter = retryAfter;
+    }
+
+    get isTimeout() {
+        return this.code === 'timeout';
+    }
+
+    get isNetworkError() {
+        return this.code === 'network';
+    }
+
+    get isAborted() {
+        return this.code === 'aborted';
+    }
+
+    get isAuthError() {
+        return this.status === 401;
+    }
+}
+
+class ApiClient {
+    constructor() {
+        this.defaultTimeout = 15000;
+        this.maxRetries = 2;
+        this.retryDelay = 500;
+        this.csrfHeader = 'X-CSRFToken';
+        this.unsafeMethods = ['POST', 'PUT', 'PATCH', 'DELETE'];
+        this.inFlight = new Map();
+        this.authFailureHandlers = [];
+    }
+
+    // ===== PUBLIC METHODS =====
+    get(url, options = {}) {
+        return this.request('GET', url, options);
+    }
+
+    post(url, body, options = {}) {
+        return this.request('POST', url, { ...options, body });
+    }
+
+    put(url, body, options = {}) {
+        return this.request('PUT', url, { ...options, body });
+    }
+
+    delete(url, options = {}) {
+        return this.request('DELETE', url, options);
+    }
+
+    onAuthFailure(handler) {
+        this.authFailureHandlers.push(handler);
+    }
+
+    request(method, url, options = {}) {
+        // Identical GETs already on the wire share one response; callers with their own signal opt out
+        const dedupe = method === 'GET' && !options.signal && options.dedupe !== false;
+        const key = `${method} ${url}`;
+
+        if (dedupe && this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = this.requestWithRetry(method, url, options);
+        if (dedupe) {
+            this.inFlight.set(key, promise);
+            promise.finally(() => this.inFlight.delete(key)).catch(() => {});
+        }
+        return promise;
+    }
+
+    // ===== REQUEST PIPELINE =====
+    async requestWithRetry(method, url, options) {
+        // Only idempotent GETs are retried; a retried POST could run a command twice
+        const retries = method === 'GET' ? (options.retries ?? this.maxRetries) : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(method, url, options);
+            } catch (error) {
+                if (attempt >= retries || !this.isRetryable(error)) {
+                    throw error;
+                }
+                await this.wait(this.getRetryDelay(error, attempt), options.signal);
+            }
+        }
+    }
+
+    async send(method, url, options) {
+        // A signal that was aborted before the call never fires 'abort' again, so check it up front
+        if (options.signal?.aborted) {
+            throw new ApiError('Request was cancelled', { code: 'aborted', url });
+        }
+
+        const controller = new AbortController();
+        const timeout = options.timeout ?? this.defaultTimeout;
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const abortFromCaller = () => controller.abort();
+        options.signal?.addEventListener('abort', abortFromCaller);
+
+        const headers = new Headers(options.headers);
+        const init = { method, headers, signal: controller.signal, credentials: 'same-origin' };
+
+        if (options.body !== undefined) {
+            headers.set('Content-Type', 'application/json');
+            init.body = JSON.stringify(options.body);
+        }
+
+        if (this.unsafeMethods.includes(method) && this.getCsrfToken()) {
+            headers.set(this.csrfHeader, this.getCsrfToken());
+        }
+
+        const abortError = () => timedOut
+            ? new ApiError(`Request timed out after ${timeout / 1000}s`, { code: 'timeout', url })
+            : new ApiError('Request was cancelled', { code: 'aborted', url });
+
+        let response;
+        let data;
+        try {
+            try {
+                response = await fetch(url, init);
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    throw abortError();
+                }
+                throw new ApiError('Network error, check your connection', { code: 'network', url });
+            }
+
+            // The timeout covers the body too; parseBody turns an aborted read into {}, so check again after it
+            data = await this.parseBody(response);
+            if (controller.signal.aborted) {
+                throw abortError();
+            }
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', abortFromCaller);
+        }
+
+        if (!response.ok) {
+            const error = this.createError(response, data, url);
+            if (error.isAuthError && !options.skipAuthHook) {
+                this.authFailureHandlers.forEach(handler => handler(error));
+            }
+            throw error;
+        }
+
+        return data;
+    }
+
+    async parseBody(response) {
+        // Callers read fields straight off the result, so empty, non-JSON and unparsable bodies all become {}
+        const type = response.headers.get('Content-Type') || '';
+        if (response.status === 204 || !type.includes('application/json')) return {};
+
+        try {
+            const data = await response.json();
+            return data && typeof data === 'object' ? data : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    createError(response, data, url) {
+        const body = data && typeof data === 'object' ? data : {};
+        const fallback = {
+            400: 'The request was invalid',
+            401: 'Your session has expired',
+            403: 'You do not have permission to do that',
+            404: 'Not found',
+            429: 'Too many requests, slow down'
+        }[response.status] || `Request failed with status ${response.status}`;
+
+        const retryAfter = Number(body.retry_after ?? response.headers.get('Retry-After')) || null;
+
+        return new ApiError(body.message || body.error || fallback, {
+            status: response.status,
+            code: body.code || (response.status >= 500 ? 'server_error' : 'http_error'),
+            data: body,
+            url,
+            retryAfter
+        });
+    }
+
+    isRetryable(error) {
+        // A long Retry-After (e.g. a lockout) is surfaced to the caller instead of waited out
+        if (error.status === 429) return !error.retryAfter || error.retryAfter <= 10;
+        return error.isNetworkError || error.isTimeout || error.status >= 500;
+    }
+
+    getRetryDelay(error, attempt) {
+        if (error.retryAfter) {
+            return error.retryAfter * 1000;
+        }
+        return this.retryDelay * Math.pow(2, attempt) + Math.random() * 250;
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new ApiError('Request was cancelled', { code: 'aborted' }));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    getCsrfToken() {
+        return document.querySelector('meta[name="csrf-token"]')?.content || '';
+    }
+}
+
+// Created up front so modules can use it from their constructors
+window.apiClient = new ApiClient();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiClient, ApiError };
+}
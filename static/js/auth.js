@@ -0,0 +1,269 @@
+// ===== AUTH MANAGER =====
+// Login (with lockout and TOTP handling) and re-login on expired sessions
+
+class AuthManager {
+    constructor() {
+        this.loginUrl = '/login';
+        this.isLoginPage = window.location.pathname === this.loginUrl;
+        this.promptOpen = false;
+        this.dialog = null;
+        this.countdownTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        window.apiClient.onAuthFailure(() => this.handleSessionExpired());
+
+        // SocketManager is created on DOMContentLoaded, after this script runs
+        document.addEventListener('DOMContentLoaded', () => this.subscribeToSocket());
+    }
+
+    // ===== SESSION EXPIRY =====
+    setCsrfToken(token) {
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        if (meta && token) {
+            meta.content = token;
+        }
+    }
+
+    subscribeToSocket() {
+        window.socketManager?.on('session_expired', () => this.handleSessionExpired());
+    }
+
+    handleSessionExpired() {
+        if (this.isLoginPage || this.promptOpen) return;
+        this.promptOpen = true;
+        this.openPrompt();
+    }
+
+    // ===== LOGIN =====
+    async login({ username, password, totpCode, rememberDevice }) {
+        const body = { username, password, remember_device: Boolean(rememberDevice) };
+        if (totpCode) {
+            body.totp_code = totpCode;
+        }
+
+        let data;
+        try {
+            data = await window.apiClient.post(this.loginUrl, body, { skipAuthHook: true });
+        } catch (error) {
+            return this.describeLoginError(error, Boolean(totpCode));
+        }
+
+        if (data?.csrf_token) {
+            this.setCsrfToken(data.csrf_token);
+        }
+
+        if (data?.success) {
+            return { status: 'success', redirect: data.redirect || '/' };
+        }
+
+        if (data?.totp_required) {
+            return { status: 'totp', message: '' };
+        }
+
+        return { status: 'invalid', message: data?.message || 'Invalid credentials' };
+    }
+
+    describeLoginError(error, sentTotp) {
+        if (error.isNetworkError || error.isTimeout) {
+            return { status: 'network', message: error.message };
+        }
+
+        if (error.data?.totp_required) {
+            return {
+                status: 'totp',
+                message: sentTotp ? (error.data.message || 'Invalid authentication code') : ''
+            };
+        }
+
+        // 429 is a rate limit, 423 an account lockout; both say how long to wait
+        if (error.status === 429 || error.status === 423) {
+            return {
+                status: 'locked',
+                retryAfter: error.retryAfter || 60,
+                message: error.data?.message || (error.status === 423
+                    ? 'Account temporarily locked after too many failed attempts'
+                    : 'Too many sign-in attempts')
+            };
+        }
+
+        if (error.status === 400 && /csrf/i.test(error.message)) {
+            return { status: 'csrf', message: 'Your session token expired. Reload the page and try again.' };
+        }
+
+        return { status: 'invalid', message: error.data?.message || 'Invalid credentials' };
+    }
+
+    startCountdown(seconds, onTick, onDone) {
+        clearInterval(this.countdownTimer);
+
+        let remaining = Math.ceil(seconds);
+        onTick(remaining);
+        this.countdownTimer = setInterval(() => {
+            remaining--;
+            if (remaining <= 0) {
+                clearInterval(this.countdownTimer);
+                this.countdownTimer = null;
+                onDone();
+            } else {
+                onTick(remaining);
+            }
+        }, 1000);
+    }
+
+    formatWait(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return minutes ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+    }
+
+    // ===== LOGIN FORM =====
+    // Drives both the login page and the re-login dialog; `elements` holds their fields
+    bindLoginForm(form, elements, onSuccess) {
+        const setMessage = (message, type = 'error') => {
+            elements.message.textContent = message;
+            elements.message.className = `login-message ${type}`;
+            elements.message.hidden = !message;
+        };
+
+        const setLocked = (locked) => {
+            elements.submit.disabled = locked;
+            form.querySelectorAll('input').forEach(input => { input.disabled = locked; });
+        };
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const totpVisible = !elements.totpStep.hidden;
+            const label = elements.submit.innerHTML;
+            elements.submit.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Signing in...';
+            elements.submit.disabled = true;
+            setMessage('');
+
+            const result = await this.login({
+                username: elements.username.value,
+                password: elements.password.value,
+                totpCode: totpVisible ? elements.totpCode.value.trim() : '',
+                rememberDevice: elements.remember.checked
+            });
+
+            elements.submit.innerHTML = label;
+            elements.submit.disabled = false;
+
+            switch (result.status) {
+                case 'success':
+                    onSuccess(result);
+                    break;
+                case 'totp':
+                    elements.credentials.hidden = true;
+                    elements.totpStep.hidden = false;
+                    elements.totpCode.value = '';
+                    elements.totpCode.focus();
+                    setMessage(result.message);
+                    break;
+                case 'locked':
+                    setLocked(true);
+                    this.startCountdown(result.retryAfter, (remaining) => {
+                        setMessage(`${result.message.replace(/\.$/, '')}. Try again in ${this.formatWait(remaining)}.`, 'warning');
+                    }, () => {
+                        setLocked(false);
+                        setMessage('You can try signing in again.', 'info');
+                    });
+                    break;
+                default:
+                    setMessage(result.message);
+            }
+        });
+
+        elements.totpBack?.addEventListener('click', () => {
+            elements.totpStep.hidden = true;
+            elements.credentials.hidden = false;
+            setMessage('');
+        });
+    }
+
+    // ===== RE-LOGIN PROMPT =====
+    openPrompt() {
+        if (!this.dialog) {
+            this.createPrompt();
+        }
+
+        this.dialog.querySelector('.login-credentials').hidden = false;
+        this.dialog.querySelector('.login-totp-step').hidden = true;
+        this.dialog.querySelector('[name="password"]').value = '';
+        this.dialog.show();
+    }
+
+    createPrompt() {
+        this.dialog = document.createElement('sl-dialog');
+        this.dialog.label = 'Session expired';
+        this.dialog.className = 'relogin-modal';
+        this.dialog.innerHTML = `
+            <form class="login-form relogin-form">
+                <p class="broadcast-hint">Sign in again to continue where you left off.</p>
+                <div class="login-credentials">
+                    <div class="form-group">
+                        <label class="form-label">Username</label>
+                        <input type="text" class="form-control" name="username" autocomplete="username" required>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Password</label>
+                        <input type="password" class="form-control" name="password" autocomplete="current-password" required>
+                    </div>
+                </div>
+                <div class="login-totp-step" hidden>
+                    <div class="form-group">
+                        <label class="form-label">Authentication code</label>
+                        <input type="text" class="form-control" name="totp" inputmode="numeric" autocomplete="one-time-code" pattern="[0-9]{6}" maxlength="6">
+                    </div>
+                    <button type="button" class="view-all" data-totp-back>Use a different account</button>
+                </div>
+                <label class="form-check">
+                    <input type="checkbox" class="form-check-input" name="remember">
+                    Remember this device
+                </label>
+                <p class="login-message" hidden></p>
+                <button type="submit" class="btn-primary">Sign In</button>
+            </form>
+        `;
+        document.body.appendChild(this.dialog);
+
+        // The prompt must be answered; closing it would leave every request failing
+        this.dialog.addEventListener('sl-request-close', (e) => {
+            if (this.promptOpen) {
+                e.preventDefault();
+            }
+        });
+
+        const form = this.dialog.querySelector('form');
+        this.bindLoginForm(form, {
+            username: form.querySelector('[name="username"]'),
+            password: form.querySelector('[name="password"]'),
+            totpCode: form.querySelector('[name="totp"]'),
+            remember: form.querySelector('[name="remember"]'),
+            credentials: form.querySelector('.login-credentials'),
+            totpStep: form.querySelector('.login-totp-step'),
+            totpBack: form.querySelector('[data-totp-back]'),
+            message: form.querySelector('.login-message'),
+            submit: form.querySelector('[type="submit"]')
+        }, () => this.handleRelogin());
+    }
+
+    handleRelogin() {
+        this.promptOpen = false;
+        this.dialog.hide();
+
+        window.dashboard?.showNotification('Signed in again', 'success');
+        window.socketManager?.attemptReconnect();
+        document.dispatchEvent(new CustomEvent('sessionrestored'));
+    }
+}
+
+// Install before other modules start their first requests
+window.authManager = new AuthManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthManager;
+}
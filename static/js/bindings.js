@@ -0,0 +1,139 @@
+// ===== DATA BINDINGS =====
+// Templates declare what they show with data-bind; one renderer applies every update
+//
+//   <h3 data-bind="servers" data-bind-format="number" data-bind-animate>0</h3>
+//   <span data-bind="state" data-bind-source="connection" data-bind-attr="data-state"></span>
+//
+// data-bind is a field path into the update (dots for nesting), data-bind-source picks which
+// update it listens to (default "stats"), data-bind-attr writes an attribute instead of text.
+
+class DataBinder {
+    constructor() {
+        this.formatters = {
+            text: (value) => String(value ?? ''),
+            number: (value) => formatNumber(value),
+            percent: (value) => `${parseFloat(value) || 0}%`,
+            mb: (value) => `${parseInt(value) || 0}MB`,
+            ms: (value) => `${parseInt(value) || 0}ms`,
+            duration: (value) => this.formatDuration(value),
+            capitalize: (value) => {
+                const text = String(value ?? '');
+                return text.charAt(0).toUpperCase() + text.slice(1);
+            }
+        };
+        this.animationDuration = 1000;
+        this.reported = new Set();
+        this.development = this.isDevelopment();
+    }
+
+    isDevelopment() {
+        const env = document.documentElement.dataset.env;
+        if (env) return env === 'development';
+        return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+    }
+
+    // ===== PUBLIC METHODS =====
+    register(name, formatter) {
+        this.formatters[name] = formatter;
+    }
+
+    render(data, { source = 'stats', root = document } = {}) {
+        if (!data) return;
+
+        root.querySelectorAll('[data-bind]').forEach(element => {
+            if ((element.dataset.bindSource || 'stats') !== source) return;
+
+            const field = element.dataset.bind;
+            const value = this.resolve(data, field);
+            if (value === undefined) {
+                this.report(`"${source}" update has no "${field}" field`, element);
+                return;
+            }
+
+            this.apply(element, value);
+        });
+    }
+
+    // ===== RENDERING =====
+    resolve(data, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+    }
+
+    apply(element, value) {
+        const formatName = element.dataset.bindFormat || 'text';
+        const format = this.formatters[formatName];
+        if (!format) {
+            this.report(`Unknown format "${formatName}"`, element);
+        }
+        const formatter = format || this.formatters.text;
+
+        if (element.dataset.bindAttr) {
+            element.setAttribute(element.dataset.bindAttr, formatter(value));
+            return;
+        }
+
+        // Counters tick up from whatever they last showed instead of jumping
+        const number = Number(value);
+        if (element.hasAttribute('data-bind-animate') && Number.isFinite(number)) {
+            const previous = Number(element.dataset.bindValue);
+            element.dataset.bindValue = number;
+            if (Number.isFinite(previous) && previous !== number) {
+                this.animate(element, previous, number, formatter);
+                return;
+            }
+        }
+
+        element.textContent = formatter(value);
+    }
+
+    animate(element, start, end, formatter) {
+        let startTimestamp = null;
+        const step = (timestamp) => {
+            if (!startTimestamp) startTimestamp = timestamp;
+            // A newer update took over this element
+            if (Number(element.dataset.bindValue) !== end) return;
+
+            const progress = Math.min((timestamp - startTimestamp) / this.animationDuration, 1);
+            element.textContent = formatter(Math.floor(progress * (end - start) + start));
+            if (progress < 1) {
+                window.requestAnimationFrame(step);
+            }
+        };
+        window.requestAnimationFrame(step);
+    }
+
+    formatDuration(value) {
+        // The bot may already send a formatted string ("3d 4h"); only raw seconds are formatted
+        const seconds = Number(value);
+        if (!Number.isFinite(seconds)) return String(value ?? '');
+
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (days) return `${days}d ${hours}h`;
+        if (hours) return `${hours}h ${minutes}m`;
+        if (minutes) return `${minutes}m`;
+        return `${Math.floor(seconds)}s`;
+    }
+
+    // Broken bindings are loud in development and silent in production
+    report(message, element) {
+        if (!this.development) return;
+
+        const key = `${message}|${element.id || element.dataset.bind}`;
+        if (this.reported.has(key)) return;
+        this.reported.add(key);
+
+        console.warn(`[bindings] ${message}`, element);
+        element.classList.add('binding-missing');
+    }
+}
+
+// Created up front so modules can render from their constructors
+window.dataBinder = new DataBinder();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataBinder;
+}
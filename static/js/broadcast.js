@@ -0,0 +1,408 @@
+// ===== BROADCAST MANAGER =====
+// Targeted broadcasts with preview, scheduling and a per-guild delivery report
+
+class BroadcastManager {
+    constructor() {
+        this.modal = document.getElementById('broadcastModal');
+        this.servers = [];
+        this.selectedGuilds = new Set();
+        this.serverQuery = '';
+        this.maxRenderedServers = 200;
+        this.maxMessageLength = 2000;
+        this.activeBroadcast = null;
+        this.isSending = false;
+
+        // Progress can arrive before the POST that started the broadcast has returned its id
+        this.earlyEvents = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.setupEventListeners();
+        this.subscribeToSocket();
+    }
+
+    // ===== SETUP FUNCTIONS =====
+    setupEventListeners() {
+        const message = document.getElementById('broadcastMessage');
+        message?.addEventListener('input', () => this.renderPreview());
+
+        document.getElementById('broadcastTarget')?.addEventListener('change', (e) => {
+            const specific = e.target.value === 'specific';
+            document.getElementById('broadcastServerPicker').hidden = !specific;
+            if (specific) {
+                this.loadServers();
+            }
+        });
+
+        const filter = document.getElementById('broadcastServerFilter');
+        filter?.addEventListener('input', debounce(() => {
+            this.serverQuery = filter.value.trim().toLowerCase();
+            this.renderServerList();
+        }, 100));
+
+        document.getElementById('broadcastServerList')?.addEventListener('change', (e) => {
+            if (!e.target.matches('input[type="checkbox"]')) return;
+
+            if (e.target.checked) {
+                this.selectedGuilds.add(e.target.value);
+            } else {
+                this.selectedGuilds.delete(e.target.value);
+            }
+            this.renderSelectedCount();
+        });
+
+        document.getElementById('broadcastSelectVisible')?.addEventListener('click', () => {
+            this.getFilteredServers().forEach(server => this.selectedGuilds.add(server.id));
+            this.renderServerList();
+        });
+
+        document.getElementById('broadcastClearSelection')?.addEventListener('click', () => {
+            this.selectedGuilds.clear();
+            this.renderServerList();
+        });
+
+        document.getElementById('broadcastScheduleToggle')?.addEventListener('change', (e) => {
+            document.getElementById('broadcastScheduleAt').hidden = !e.target.checked;
+        });
+
+        document.getElementById('broadcastReportFilter')?.addEventListener('change', () => this.renderReport());
+    }
+
+    subscribeToSocket() {
+        const socketManager = window.socketManager;
+        if (!socketManager) return;
+
+        socketManager.on('broadcast_progress', (data) => this.handleProgress(data));
+        socketManager.on('broadcast_complete', (data) => this.handleComplete(data));
+    }
+
+    // ===== MODAL =====
+    open() {
+        if (!this.activeBroadcast || this.activeBroadcast.complete) {
+            this.showCompose();
+        }
+        this.modal.show();
+    }
+
+    close() {
+        this.modal.hide();
+    }
+
+    showCompose() {
+        document.getElementById('broadcastCompose').hidden = false;
+        document.getElementById('broadcastReport').hidden = true;
+        document.getElementById('broadcastSendBtn').hidden = false;
+        document.getElementById('broadcastNewBtn').hidden = true;
+        this.renderPreview();
+    }
+
+    showReport() {
+        document.getElementById('broadcastCompose').hidden = true;
+        document.getElementById('broadcastReport').hidden = false;
+        document.getElementById('broadcastSendBtn').hidden = true;
+        document.getElementById('broadcastNewBtn').hidden = false;
+        this.renderReport();
+    }
+
+    reset() {
+        this.activeBroadcast = null;
+        ['broadcastMessage', 'broadcastNotes', 'broadcastChannel'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.value = '';
+        });
+        this.selectedGuilds.clear();
+        this.renderServerList();
+        this.showCompose();
+    }
+
+    // ===== SERVER PICKER =====
+    async loadServers() {
+        if (this.servers.length) return;
+
+        try {
+            const data = await window.apiClient.get('/api/servers');
+            this.servers = (data.servers || [])
+                .map(server => ({
+                    id: String(server.id),
+                    name: server.name || 'Unknown server',
+                    searchKey: `${server.name || ''} ${server.id}`.toLowerCase()
+                }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            this.renderServerList();
+        } catch (error) {
+            console.error('Failed to load servers for broadcast:', error);
+            document.getElementById('broadcastServerList').innerHTML =
+                '<p class="broadcast-hint">Failed to load servers</p>';
+        }
+    }
+
+    getFilteredServers() {
+        if (!this.serverQuery) return this.servers;
+        return this.servers.filter(server => server.searchKey.includes(this.serverQuery));
+    }
+
+    renderServerList() {
+        const list = document.getElementById('broadcastServerList');
+        if (!list) return;
+
+        const servers = this.getFilteredServers();
+        const visible = servers.slice(0, this.maxRenderedServers);
+
+        list.innerHTML = visible.map(server => `
+            <label class="form-check broadcast-server">
+                <input type="checkbox" class="form-check-input" value="${escapeHtml(server.id)}"
+                    ${this.selectedGuilds.has(server.id) ? 'checked' : ''}>
+                <span>${escapeHtml(server.name)}</span>
+            </label>
+        `).join('') + (servers.length > visible.length
+            ? `<p class="broadcast-hint">${formatNumber(servers.length - visible.length)} more, refine the filter to see them</p>`
+            : '');
+
+        this.renderSelectedCount();
+    }
+
+    renderSelectedCount() {
+        const count = document.getElementById('broadcastSelectedCount');
+        if (count) {
+            count.textContent = `${formatNumber(this.selectedGuilds.size)} selected`;
+        }
+    }
+
+    // ===== PREVIEW =====
+    renderPreview() {
+        const message = document.getElementById('broadcastMessage')?.value || '';
+        const preview = document.getElementById('broadcastPreview');
+        const counter = document.getElementById('broadcastCharCount');
+
+        if (counter) {
+            counter.textContent = `${message.length}/${this.maxMessageLength}`;
+            counter.classList.toggle('over-limit', message.length > this.maxMessageLength);
+        }
+
+        if (preview) {
+            preview.innerHTML = message.trim()
+                ? this.formatMarkdown(message)
+                : '<span class="broadcast-hint">Your message preview will appear here</span>';
+        }
+    }
+
+    formatMarkdown(text) {
+        // Escape first, then apply the small subset of Discord markdown the bot supports.
+        // Code is split out before anything else so its contents are shown as typed
+        return escapeHtml(text)
+            .split(/(```[\s\S]+?```|`[^`]+`)/)
+            .map((part, index) => {
+                if (index % 2 === 1) {
+                    return part.startsWith('```')
+                        ? `<pre>${part.slice(3, -3)}</pre>`
+                        : `<code>${part.slice(1, -1)}</code>`;
+                }
+                return part
+                    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+                    .replace(/__(.+?)__/g, '<u>$1</u>')
+                    .replace(/\*(.+?)\*/g, '<em>$1</em>')
+                    .replace(/~~(.+?)~~/g, '<s>$1</s>')
+                    .replace(/\n/g, '<br>');
+            })
+            .join('');
+    }
+
+    // ===== SENDING =====
+    buildPayload() {
+        const message = document.getElementById('broadcastMessage').value.trim();
+        const target = document.getElementById('broadcastTarget').value;
+        const scheduled = document.getElementById('broadcastScheduleToggle').checked;
+        const scheduleAt = document.getElementById('broadcastScheduleAt').value;
+
+        if (!message) {
+            return { error: 'Enter a message to broadcast' };
+        }
+        if (message.length > this.maxMessageLength) {
+            return { error: `Messages are limited to ${this.maxMessageLength} characters` };
+        }
+        if (target === 'specific' && this.selectedGuilds.size === 0) {
+            return { error: 'Select at least one server' };
+        }
+
+        let scheduledAt = null;
+        if (scheduled) {
+            const date = new Date(scheduleAt);
+            if (!scheduleAt || Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+                return { error: 'Pick a schedule time in the future' };
+            }
+            scheduledAt = date.toISOString();
+        }
+
+        return {
+            payload: {
+                message,
+                target,
+                guild_ids: target === 'specific' ? Array.from(this.selectedGuilds) : [],
+                channel: document.getElementById('broadcastChannel').value.trim() || null,
+                notes: document.getElementById('broadcastNotes').value.trim() || null,
+                scheduled_at: scheduledAt
+            }
+        };
+    }
+
+    async send() {
+        if (this.isSending) return;
+
+        const { payload, error } = this.buildPayload();
+        if (error) {
+            window.dashboard?.showNotification(error, 'warning');
+            return;
+        }
+
+        this.setSending(true);
+
+        try {
+            const data = await window.apiClient.post('/api/broadcast', payload);
+            if (!data.success) {
+                window.dashboard?.showNotification(data.message || 'Failed to start broadcast', 'error');
+                return;
+            }
+
+            this.activeBroadcast = {
+                id: data.broadcast_id,
+                total: data.total || payload.guild_ids.length,
+                scheduledAt: payload.scheduled_at,
+                results: new Map(),
+                complete: false
+            };
+
+            window.dashboard?.showNotification(
+                payload.scheduled_at
+                    ? `Broadcast scheduled for ${new Date(payload.scheduled_at).toLocaleString()}`
+                    : 'Broadcast started',
+                'success'
+            );
+            this.showReport();
+
+            this.earlyEvents
+                .filter(entry => entry.data.broadcast_id === data.broadcast_id)
+                .forEach(entry => entry.handler.call(this, entry.data));
+        } catch (error) {
+            console.error('Broadcast failed:', error);
+            window.dashboard?.showNotification(`Failed to send broadcast: ${error.message}`, 'error');
+        } finally {
+            this.earlyEvents = [];
+            this.setSending(false);
+        }
+    }
+
+    setSending(isSending) {
+        this.isSending = isSending;
+
+        const button = document.getElementById('broadcastSendBtn');
+        if (button) {
+            button.loading = isSending;
+            button.disabled = isSending;
+        }
+    }
+
+    // ===== DELIVERY REPORT =====
+    handleProgress(data) {
+        if (this.holdEarlyEvent(this.handleProgress, data)) return;
+
+        const broadcast = this.activeBroadcast;
+        if (!broadcast || data.broadcast_id !== broadcast.id) return;
+
+        broadcast.results.set(String(data.guild_id), {
+            guildId: String(data.guild_id),
+            guildName: data.guild_name || String(data.guild_id),
+            status: data.status,
+            reason: data.reason || ''
+        });
+        this.renderReport();
+    }
+
+    handleComplete(data) {
+        if (this.holdEarlyEvent(this.handleComplete, data)) return;
+
+        const broadcast = this.activeBroadcast;
+        if (!broadcast || data.broadcast_id !== broadcast.id) return;
+
+        broadcast.complete = true;
+        this.renderReport();
+
+        const counts = this.getCounts();
+        window.dashboard?.showNotification(
+            `Broadcast finished: ${counts.delivered} delivered, ${counts.failed} failed, ${counts.skipped} skipped`,
+            counts.failed ? 'warning' : 'success'
+        );
+    }
+
+    holdEarlyEvent(handler, data) {
+        // While a send is in flight an unknown broadcast id may be the one it starts; send() replays the matching ones
+        if (!this.isSending || data.broadcast_id === this.activeBroadcast?.id) return false;
+        this.earlyEvents.push({ handler, data });
+        return true;
+    }
+
+    getCounts() {
+        const counts = { delivered: 0, failed: 0, skipped: 0 };
+        this.activeBroadcast?.results.forEach(result => {
+            if (counts[result.status] !== undefined) {
+                counts[result.status]++;
+            }
+        });
+        return counts;
+    }
+
+    renderReport() {
+        const broadcast = this.activeBroadcast;
+        const report = document.getElementById('broadcastReport');
+        if (!broadcast || !report || report.hidden) return;
+
+        const counts = this.getCounts();
+        const processed = counts.delivered + counts.failed + counts.skipped;
+        const total = Math.max(broadcast.total, processed);
+        const percent = total ? Math.round((processed / total) * 100) : 0;
+
+        const status = broadcast.complete
+            ? 'Complete'
+            : (broadcast.scheduledAt && processed === 0
+                ? `Scheduled for ${new Date(broadcast.scheduledAt).toLocaleString()}`
+                : `Sending... ${formatNumber(processed)} of ${formatNumber(total)}`);
+
+        document.getElementById('broadcastReportStatus').textContent = status;
+        document.getElementById('broadcastReportProgress').style.width = `${percent}%`;
+        ['delivered', 'failed', 'skipped'].forEach(key => {
+            document.getElementById(`broadcastCount-${key}`).textContent = formatNumber(counts[key]);
+        });
+
+        const filter = document.getElementById('broadcastReportFilter')?.value || 'all';
+        const rows = Array.from(broadcast.results.values())
+            .filter(result => filter === 'all' || result.status === filter);
+
+        document.getElementById('broadcastReportList').innerHTML = rows.length
+            ? rows.map(result => `
+                <div class="broadcast-result">
+                    <span class="status ${this.getStatusClass(result.status)}">${escapeHtml(result.status)}</span>
+                    <span class="broadcast-result-name">${escapeHtml(result.guildName)}</span>
+                    <span class="broadcast-hint">${escapeHtml(result.reason)}</span>
+                </div>
+            `).join('')
+            : '<p class="broadcast-hint">No results yet</p>';
+    }
+
+    getStatusClass(status) {
+        const classes = { delivered: 'online', failed: 'offline', skipped: 'idle' };
+        return classes[status] || 'idle';
+    }
+}
+
+// Initialize broadcast manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.broadcastManager = new BroadcastManager();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BroadcastManager;
+}
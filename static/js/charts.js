@@ -4,6 +4,13 @@
 class ChartManager {
     constructor() {
         this.charts = new Map();
+        this.rangeCache = new Map();
+        this.cacheTTL = 5 * 60 * 1000;
+        this.timeFilter = document.getElementById('timeFilter');
+        this.currentRange = this.timeFilter?.value || '24h';
+        this.topCommandCount = 5;
+        this.replayEntry = null;
+        this.replayBucketMs = 60 * 1000;
         this.init();
     }
 
@@ -11,12 +18,15 @@ class ChartManager {
         this.setupChartJS();
         this.createCharts();
         this.setupChartUpdates();
+        this.subscribeToSocket();
+
+        document.addEventListener('themechange', () => this.applyTheme());
     }
 
     setupChartJS() {
         // Chart.js global configuration
         Chart.defaults.font.family = "'Inter', 'Whitney', 'Helvetica Neue', Helvetica, Arial, sans-serif";
-        Chart.defaults.color = '#b9bbbe';
+        Chart.defaults.color = this.getThemeColors().text;
         Chart.defaults.responsive = true;
         Chart.defaults.maintainAspectRatio = false;
     }
@@ -24,22 +34,22 @@ class ChartManager {
     createCharts() {
         this.createCommandUsageChart();
         this.createServerGrowthChart();
-        this.createPerformanceChart();
     }
 
     createCommandUsageChart() {
         const ctx = document.getElementById('commandChart');
         if (!ctx) return;
 
+        const colors = this.getThemeColors();
         this.commandChart = new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: ['Play', 'Skip', 'Stop', 'Volume', 'Queue', 'Other'],
+                labels: [],
                 datasets: [{
                     label: 'Command Usage',
-                    data: [65, 59, 80, 81, 56, 55],
-                    backgroundColor: 'rgba(88, 101, 242, 0.8)',
-                    borderColor: 'rgba(88, 101, 242, 1)',
+                    data: [],
+                    backgroundColor: this.withAlpha(colors.primary, 0.8),
+                    borderColor: colors.primary,
                     borderWidth: 1,
                     borderRadius: 6,
                     borderSkipped: false,
@@ -58,10 +68,10 @@ class ChartManager {
                     y: {
                         beginAtZero: true,
                         grid: {
-                            color: 'rgba(79, 84, 92, 0.3)'
+                            color: colors.grid
                         },
                         ticks: {
-                            color: '#b9bbbe'
+                            color: colors.text
                         }
                     },
                     x: {
@@ -69,7 +79,7 @@ class ChartManager {
                             display: false
                         },
                         ticks: {
-                            color: '#b9bbbe'
+                            color: colors.text
                         }
                     }
                 },
@@ -87,20 +97,21 @@ class ChartManager {
         const ctx = document.getElementById('growthChart');
         if (!ctx) return;
 
+        const colors = this.getThemeColors();
         this.growthChart = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul'],
+                labels: [],
                 datasets: [{
                     label: 'Server Growth',
-                    data: [65, 78, 90, 81, 96, 105, 120],
+                    data: [],
                     fill: true,
-                    backgroundColor: 'rgba(87, 242, 135, 0.2)',
-                    borderColor: 'rgba(87, 242, 135, 1)',
+                    backgroundColor: this.withAlpha(colors.success, 0.2),
+                    borderColor: colors.success,
                     borderWidth: 2,
                     tension: 0.3,
-                    pointBackgroundColor: 'rgba(87, 242, 135, 1)',
-                    pointBorderColor: '#fff',
+                    pointBackgroundColor: colors.success,
+                    pointBorderColor: colors.surface,
                     pointBorderWidth: 2,
                     pointRadius: 4,
                     pointHoverRadius: 6
@@ -115,10 +126,10 @@ class ChartManager {
                 scales: {
                     y: {
                         grid: {
-                            color: 'rgba(79, 84, 92, 0.3)'
+                            color: colors.grid
                         },
                         ticks: {
-                            color: '#b9bbbe'
+                            color: colors.text
                         }
                     },
                     x: {
@@ -126,7 +137,7 @@ class ChartManager {
                             display: false
                         },
                         ticks: {
-                            color: '#b9bbbe'
+                            color: colors.text
                         }
                     }
                 },
@@ -140,89 +151,308 @@ class ChartManager {
         this.charts.set('serverGrowth', this.growthChart);
     }
 
-    createPerformanceChart() {
-        const ctx = document.getElementById('performanceChart');
-        if (!ctx) return;
+    // ===== THEMING =====
+    getThemeColors() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
 
-        this.performanceChart = new Chart(ctx, {
-            type: 'doughnut',
-            data: {
-                labels: ['CPU', 'Memory', 'Network'],
-                datasets: [{
-                    data: [65, 25, 10],
-                    backgroundColor: [
-                        'rgba(88, 101, 242, 0.8)',
-                        'rgba(87, 242, 135, 0.8)',
-                        'rgba(254, 231, 92, 0.8)'
-                    ],
-                    borderColor: [
-                        'rgba(88, 101, 242, 1)',
-                        'rgba(87, 242, 135, 1)',
-                        'rgba(254, 231, 92, 1)'
-                    ],
-                    borderWidth: 2,
-                    borderRadius: 6,
-                    spacing: 2
-                }]
-            },
-            options: {
-                cutout: '70%',
-                plugins: {
-                    legend: {
-                        position: 'bottom',
-                        labels: {
-                            color: '#b9bbbe',
-                            padding: 20,
-                            usePointStyle: true,
-                            pointStyle: 'circle'
-                        }
-                    }
-                },
-                animation: {
-                    animateScale: true,
-                    animateRotate: true
-                }
-            }
+        return {
+            text: read('--text-secondary', '#b9bbbe'),
+            grid: read('--chart-grid', 'rgba(79, 84, 92, 0.3)'),
+            surface: read('--card-bg', '#2f3136'),
+            primary: read('--primary', '#5865f2'),
+            success: read('--success', '#57f287'),
+            warning: read('--warning', '#fee75c'),
+            danger: read('--danger', '#ed4245')
+        };
+    }
+
+    withAlpha(color, alpha) {
+        const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (!hex) return color;
+
+        const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+        const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    applyTheme() {
+        const colors = this.getThemeColors();
+        Chart.defaults.color = colors.text;
+
+        this.charts.forEach((chart, name) => {
+            Object.values(chart.options.scales || {}).forEach(scale => {
+                if (scale.ticks) scale.ticks.color = colors.text;
+                if (scale.grid) scale.grid.color = colors.grid;
+            });
+
+            const legendLabels = chart.options.plugins?.legend?.labels;
+            if (legendLabels) legendLabels.color = colors.text;
+
+            this.applyDatasetColors(name, chart, colors);
+            chart.update('none');
         });
+    }
 
-        this.charts.set('performance', this.performanceChart);
+    applyDatasetColors(name, chart, colors) {
+        const [dataset] = chart.data.datasets;
+        if (!dataset) return;
+
+        if (name === 'commandUsage') {
+            dataset.backgroundColor = this.withAlpha(colors.primary, 0.8);
+            dataset.borderColor = colors.primary;
+        } else if (name === 'serverGrowth') {
+            dataset.backgroundColor = this.withAlpha(colors.success, 0.2);
+            dataset.borderColor = colors.success;
+            dataset.pointBackgroundColor = colors.success;
+            dataset.pointBorderColor = colors.surface;
+        }
     }
 
     setupChartUpdates() {
-        // Simulate real-time updates
-        setInterval(() => {
-            this.updateChartsWithRandomData();
-        }, 5000);
-    }
-
-    updateChartsWithRandomData() {
-        // Update command usage chart
-        if (this.commandChart) {
-            this.commandChart.data.datasets[0].data = this.commandChart.data.datasets[0].data.map(
-                () => Math.floor(Math.random() * 100) + 20
-            );
-            this.commandChart.update('none');
+        if (!this.commandChart && !this.growthChart) return;
+
+        this.timeFilter?.addEventListener('change', () => {
+            this.loadRange(this.timeFilter.value);
+        });
+
+        this.loadRange(this.currentRange);
+    }
+
+    subscribeToSocket() {
+        const socketManager = window.socketManager;
+        if (!socketManager) return;
+
+        // Live stats always feed the range cache; drawing is a view listener so a session replay can take it over
+        socketManager.on('stats_update', (data) => {
+            this.updateChartsWithRealData(data);
+        });
+
+        socketManager.on('polling_update', (data) => {
+            if (data.stats) {
+                this.updateChartsWithRealData(data.stats);
+            }
+        });
+
+        socketManager.on('stats_update', (data, meta) => {
+            this.renderStats(data, meta);
+        }, { view: true });
+
+        socketManager.on('polling_update', (data, meta) => {
+            if (data.stats) {
+                this.renderStats(data.stats, meta);
+            }
+        }, { view: true });
+    }
+
+    // ===== RANGE DATA =====
+    async loadRange(range) {
+        this.currentRange = range;
+
+        // Cached ranges render instantly; stale ones are refreshed in the background
+        const cached = this.rangeCache.get(range);
+        if (cached) {
+            if (!this.replayEntry) {
+                this.renderRange(cached);
+            }
+            if (Date.now() - cached.fetchedAt < this.cacheTTL) {
+                return;
+            }
         }
 
-        // Update growth chart
-        if (this.growthChart) {
-            const newData = [...this.growthChart.data.datasets[0].data.slice(1)];
-            newData.push(Math.floor(Math.random() * 50) + 80);
-            this.growthChart.data.datasets[0].data = newData;
-            this.growthChart.update('none');
+        try {
+            const data = await window.apiClient.get(`/api/stats/history?range=${encodeURIComponent(range)}`);
+            const entry = this.normalizeRange(range, data);
+            this.rangeCache.set(range, entry);
+
+            if (this.currentRange === range && !this.replayEntry) {
+                this.renderRange(entry);
+            }
+        } catch (error) {
+            console.error(`Failed to load ${range} chart data:`, error);
         }
     }
 
+    normalizeRange(range, data) {
+        const commandTotals = {};
+        (data.commands || []).forEach(command => {
+            commandTotals[command.name] = command.count;
+        });
+
+        return {
+            range,
+            fetchedAt: Date.now(),
+            bucketMs: (data.bucket_seconds || 3600) * 1000,
+            rangeMs: this.getRangeMs(range),
+            commandTotals,
+            commandBuckets: [],
+            growth: (data.growth || []).map(point => ({
+                timestamp: new Date(point.timestamp).getTime(),
+                servers: point.servers
+            }))
+        };
+    }
+
+    getRangeMs(range) {
+        const match = /^(\d+)([hd])$/.exec(range);
+        if (!match) return 24 * 60 * 60 * 1000;
+
+        const unit = match[2] === 'h' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+        return parseInt(match[1]) * unit;
+    }
+
+    renderRange(entry) {
+        this.renderCommandChart(entry);
+        this.renderGrowthChart(entry);
+    }
+
+    renderCommandChart(entry) {
+        if (!this.commandChart) return;
+
+        const sorted = Object.entries(this.getCommandTotals(entry)).sort((a, b) => b[1] - a[1]);
+        const top = sorted.slice(0, this.topCommandCount);
+        const other = sorted.slice(this.topCommandCount).reduce((sum, [, count]) => sum + count, 0);
+
+        const labels = top.map(([name]) => name);
+        const data = top.map(([, count]) => count);
+        if (other > 0) {
+            labels.push('Other');
+            data.push(other);
+        }
+
+        this.commandChart.data.labels = labels;
+        this.commandChart.data.datasets[0].data = data;
+        this.commandChart.update();
+    }
+
+    renderGrowthChart(entry) {
+        if (!this.growthChart) return;
+
+        this.growthChart.data.labels = entry.growth.map(point => this.formatBucketLabel(point.timestamp, entry));
+        this.growthChart.data.datasets[0].data = entry.growth.map(point => point.servers);
+        this.growthChart.update();
+    }
+
+    formatBucketLabel(timestamp, entry) {
+        const date = new Date(timestamp);
+        if (entry.bucketMs < 24 * 60 * 60 * 1000 && entry.rangeMs <= 24 * 60 * 60 * 1000) {
+            return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+        return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    }
+
+    // ===== LIVE UPDATES =====
     updateChartsWithRealData(stats) {
-        // This would be called with real data from the server
-        if (this.commandChart && stats.command_usage) {
-            this.commandChart.data.datasets[0].data = stats.command_usage;
-            this.commandChart.update();
+        // Every cached range gets the update so switching back stays accurate
+        this.rangeCache.forEach(entry => this.applyStats(entry, stats));
+
+        // The fetched totals only age out of the range when they are fetched again
+        const current = this.rangeCache.get(this.currentRange);
+        if (current && Date.now() - current.fetchedAt >= this.cacheTTL) {
+            this.loadRange(this.currentRange);
+        }
+    }
+
+    applyStats(entry, stats) {
+        const timestamp = stats.timestamp ? new Date(stats.timestamp).getTime() : Date.now();
+
+        if (stats.command_usage) {
+            this.applyCommandUsage(entry, timestamp, stats.command_usage);
+        }
+        if (stats.servers !== undefined) {
+            this.applyGrowthPoint(entry, timestamp, stats.servers);
+        }
+    }
+
+    renderStats(stats, { replayed } = {}) {
+        // A replay draws into its own entry; the live cache was already updated by the background listener
+        if (replayed) {
+            this.replayEntry = this.replayEntry || this.createReplayEntry();
+            this.applyStats(this.replayEntry, stats);
+        }
+
+        const entry = replayed ? this.replayEntry : this.rangeCache.get(this.currentRange);
+        if (!entry) return;
+
+        if (stats.command_usage) {
+            this.renderCommandChart(entry);
+        }
+        if (stats.servers !== undefined) {
+            this.renderGrowthChart(entry);
+        }
+    }
+
+    // ===== SESSION REPLAY =====
+    createReplayEntry() {
+        // Recordings are minutes long, so their buckets are too
+        return {
+            range: this.currentRange,
+            fetchedAt: Date.now(),
+            bucketMs: this.replayBucketMs,
+            rangeMs: this.getRangeMs(this.currentRange),
+            commandTotals: {},
+            commandBuckets: [],
+            growth: []
+        };
+    }
+
+    resetReplay() {
+        this.replayEntry = this.createReplayEntry();
+        this.renderRange(this.replayEntry);
+    }
+
+    endReplay() {
+        this.replayEntry = null;
+        this.loadRange(this.currentRange);
+    }
+
+    applyCommandUsage(entry, timestamp, usage) {
+        // command_usage holds the uses per command since the previous stats update.
+        // Live uses are kept per bucket on top of the fetched totals so they can age out of the range.
+        const bucket = Math.floor(timestamp / entry.bucketMs) * entry.bucketMs;
+        let last = entry.commandBuckets[entry.commandBuckets.length - 1];
+
+        if (!last || bucket > last.timestamp) {
+            last = { timestamp: bucket, counts: {} };
+            entry.commandBuckets.push(last);
+        }
+
+        Object.entries(usage).forEach(([name, count]) => {
+            last.counts[name] = (last.counts[name] || 0) + count;
+        });
+
+        const cutoff = bucket - entry.rangeMs;
+        while (entry.commandBuckets.length && entry.commandBuckets[0].timestamp <= cutoff) {
+            entry.commandBuckets.shift();
+        }
+    }
+
+    getCommandTotals(entry) {
+        const totals = { ...entry.commandTotals };
+        entry.commandBuckets.forEach(({ counts }) => {
+            Object.entries(counts).forEach(([name, count]) => {
+                totals[name] = (totals[name] || 0) + count;
+            });
+        });
+        return totals;
+    }
+
+    applyGrowthPoint(entry, timestamp, servers) {
+        const bucket = Math.floor(timestamp / entry.bucketMs) * entry.bucketMs;
+        const last = entry.growth[entry.growth.length - 1];
+
+        if (last && last.timestamp === bucket) {
+            last.servers = servers;
+        } else if (!last || bucket > last.timestamp) {
+            entry.growth.push({ timestamp: bucket, servers });
+        } else {
+            // Out-of-order update for an older bucket
+            return;
         }
 
-        if (this.growthChart && stats.growth_data) {
-            this.growthChart.data.datasets[0].data = stats.growth_data;
-            this.growthChart.update();
+        const cutoff = bucket - entry.rangeMs;
+        while (entry.growth.length && entry.growth[0].timestamp <= cutoff) {
+            entry.growth.shift();
         }
     }
 
@@ -0,0 +1,230 @@
+// ===== COMMAND CATALOG =====
+// Loads the bot's command catalog and renders the Commands page
+
+class CommandManager {
+    constructor() {
+        this.commands = [];
+        this.stats = {};
+        this.loadingPromise = null;
+        this.lists = {
+            music: document.getElementById('musicCommands'),
+            utility: document.getElementById('utilityCommands'),
+            gg: document.getElementById('ggCommands')
+        };
+
+        this.searchInput = document.getElementById('commandSearch');
+
+        this.init();
+    }
+
+    init() {
+        // Only the Commands page renders the catalog; other pages load it on demand
+        if (this.lists.music || this.lists.utility) {
+            this.setupEventListeners();
+            this.loadCommands().then(() => this.highlightFromUrl()).catch(() => {});
+        }
+    }
+
+    setupEventListeners() {
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', debounce(() => {
+                this.filter(this.searchInput.value);
+            }, 100));
+        }
+    }
+
+    // ===== DATA HANDLING =====
+    async loadCommands(force = false) {
+        if (this.loadingPromise && !force) {
+            return this.loadingPromise;
+        }
+
+        this.loadingPromise = this.fetchCatalog();
+        return this.loadingPromise;
+    }
+
+    async fetchCatalog() {
+        this.setLoading(true);
+
+        try {
+            const data = await window.apiClient.get('/api/commands');
+            this.commands = this.normalizeCommands(data.commands || []);
+            this.stats = data.stats || {};
+            this.render();
+            return this.commands;
+        } catch (error) {
+            console.error('Failed to load commands:', error);
+            this.loadingPromise = null;
+            this.renderError();
+            throw error;
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    normalizeCommands(commands) {
+        return commands
+            .map(command => ({
+                name: command.name,
+                description: command.description || 'No description provided',
+                category: (command.category || 'utility').toLowerCase(),
+                aliases: command.aliases || [],
+                usage: command.usage || '',
+                args: command.args || [],
+                usageCount: command.usage_count || 0,
+                usageToday: command.usage_today || 0,
+                permission: command.permission || 'commands.execute'
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getCatalog() {
+        return this.loadCommands().catch(() => this.commands).then(() => this.getAvailableCommands());
+    }
+
+    getAvailableCommands() {
+        // Search and the console offer only what the signed-in user may run
+        return this.commands.filter(command => window.permissionManager?.has(command.permission) ?? true);
+    }
+
+    getListedCommands() {
+        // GG commands are only listed when the template rendered the whitelisted section
+        return this.commands.filter(command => command.category !== 'gg' || this.lists.gg);
+    }
+
+    getCommand(name) {
+        const needle = name.toLowerCase();
+        return this.commands.find(command =>
+            command.name.toLowerCase() === needle ||
+            command.aliases.some(alias => alias.toLowerCase() === needle)
+        );
+    }
+
+    // ===== RENDERING =====
+    render() {
+        this.renderStats();
+
+        Object.entries(this.lists).forEach(([category, list]) => {
+            if (!list) return;
+
+            const commands = this.getListedCommands().filter(command => this.getListCategory(command) === category);
+            list.innerHTML = '';
+
+            if (commands.length === 0) {
+                list.innerHTML = '<p class="commands-empty">No commands in this category</p>';
+                return;
+            }
+
+            commands.forEach(command => {
+                list.appendChild(this.createCommandItem(command));
+            });
+        });
+
+        if (this.searchInput?.value) {
+            this.filter(this.searchInput.value);
+        }
+    }
+
+    getListCategory(command) {
+        // Anything that isn't music or GG is grouped with the utility commands
+        return command.category === 'music' || command.category === 'gg' ? command.category : 'utility';
+    }
+
+    createCommandItem(command) {
+        const item = document.createElement('div');
+        item.className = 'command-item';
+        item.dataset.command = command.name;
+
+        const aliases = command.aliases.length
+            ? `<div class="command-aliases">
+                ${command.aliases.map(alias => `<span class="command-alias">${escapeHtml(alias)}</span>`).join('')}
+               </div>`
+            : '';
+
+        item.innerHTML = `
+            <div class="command-header">
+                <span class="command-name">${escapeHtml(command.name)}</span>
+                <span class="command-usage" title="Total uses">${formatNumber(command.usageCount)}</span>
+            </div>
+            <p class="command-description">${escapeHtml(command.description)}</p>
+            ${command.usage ? `<code class="command-syntax">${escapeHtml(command.usage)}</code>` : ''}
+            ${aliases}
+        `;
+
+        return item;
+    }
+
+    renderStats() {
+        const listed = this.getListedCommands();
+        const total = this.stats.total ?? listed.length;
+        const today = this.stats.today ?? listed.reduce((sum, command) => sum + command.usageToday, 0);
+        const top = this.stats.top || this.getTopCommand(listed);
+
+        this.setText('totalCommands', formatNumber(total));
+        this.setText('commandsToday', formatNumber(today));
+        this.setText('topCommand', top || '-');
+    }
+
+    getTopCommand(commands) {
+        const top = commands.reduce((best, command) =>
+            !best || command.usageCount > best.usageCount ? command : best, null);
+        return top && top.usageCount > 0 ? top.name : null;
+    }
+
+    filter(rawQuery) {
+        const query = rawQuery.trim().toLowerCase();
+
+        document.querySelectorAll('.command-item').forEach(item => {
+            const command = this.getCommand(item.dataset.command);
+            const matches = !query || !command ||
+                command.name.toLowerCase().includes(query) ||
+                command.description.toLowerCase().includes(query) ||
+                command.aliases.some(alias => alias.toLowerCase().includes(query));
+            item.hidden = !matches;
+        });
+
+        // Hide sections that have no visible commands left
+        document.querySelectorAll('.commands-section').forEach(section => {
+            const hasVisible = section.querySelector('.command-item:not([hidden])');
+            section.hidden = Boolean(query) && !hasVisible;
+        });
+    }
+
+    highlightFromUrl() {
+        const name = new URLSearchParams(window.location.search).get('command');
+        if (name && window.searchManager) {
+            window.searchManager.openCommand(name);
+        }
+    }
+
+    renderError() {
+        Object.values(this.lists).forEach(list => {
+            if (list) {
+                list.innerHTML = '<p class="commands-empty">Failed to load commands</p>';
+            }
+        });
+    }
+
+    setLoading(isLoading) {
+        Object.values(this.lists).forEach(list => {
+            list?.classList.toggle('loading', isLoading);
+        });
+    }
+
+    setText(elementId, value) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.textContent = value;
+        }
+    }
+}
+
+// Initialize command manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.commandManager = new CommandManager();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandManager;
+}
@@ -0,0 +1,419 @@
+// ===== COMMAND CONSOLE =====
+// Terminal-style console with history, autocompletion and correlated results
+
+class CommandConsole {
+    constructor() {
+        this.entries = new Map();
+        this.history = this.loadHistory();
+        this.historyIndex = this.history.length;
+        this.draft = '';
+        this.suggestions = [];
+        this.suggestionIndex = 0;
+        this.maxHistory = 100;
+        this.maxEntries = 200;
+
+        this.panel = null;
+        this.log = null;
+        this.input = null;
+        this.suggestionList = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createPanel();
+        this.setupEventListeners();
+        this.subscribeToSocket();
+    }
+
+    // ===== SETUP FUNCTIONS =====
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'command-console';
+        this.panel.innerHTML = `
+            <div class="console-header">
+                <span><i class="fas fa-terminal"></i> Console</span>
+                <div class="console-header-actions">
+                    <button class="console-btn" data-console-action="clear" title="Clear output">
+                        <i class="fas fa-eraser"></i>
+                    </button>
+                    <button class="console-btn" data-console-action="close" title="Close (Ctrl+\`)">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="console-log" role="log" aria-live="polite"></div>
+            <div class="console-input-row">
+                <ul class="console-suggestions" role="listbox"></ul>
+                <span class="console-prompt">&gt;</span>
+                <input type="text" class="console-input" placeholder="Type a command... (Tab to complete)" autocomplete="off" spellcheck="false">
+            </div>
+        `;
+        document.body.appendChild(this.panel);
+
+        this.log = this.panel.querySelector('.console-log');
+        this.input = this.panel.querySelector('.console-input');
+        this.suggestionList = this.panel.querySelector('.console-suggestions');
+    }
+
+    setupEventListeners() {
+        document.getElementById('consoleToggle')?.addEventListener('click', () => this.toggle());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.key === '`') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+
+        this.panel.querySelector('.console-header').addEventListener('click', (e) => {
+            const action = e.target.closest('[data-console-action]')?.dataset.consoleAction;
+            if (action === 'clear') this.clear();
+            if (action === 'close') this.close();
+        });
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('input', () => this.updateSuggestions());
+
+        this.suggestionList.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                e.preventDefault();
+                this.applySuggestion(Number(item.dataset.index));
+            }
+        });
+    }
+
+    subscribeToSocket() {
+        window.socketManager?.on('command_result', (data) => {
+            if (data.request_id && this.entries.has(data.request_id)) {
+                this.handleResult(data.request_id, data);
+            }
+        });
+    }
+
+    // ===== OPEN / CLOSE =====
+    toggle() {
+        if (this.panel.classList.contains('open')) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        // The shortcut reaches here without going through the gated toolbar button
+        if (!window.permissionManager?.has('commands.execute')) {
+            window.dashboard?.showNotification(window.permissionManager.getDeniedReason('commands.execute'), 'warning');
+            return;
+        }
+
+        this.panel.classList.add('open');
+        window.commandManager?.getCatalog();
+        window.searchManager?.loadServers();
+        this.input.focus();
+    }
+
+    close() {
+        this.panel.classList.remove('open');
+        this.hideSuggestions();
+    }
+
+    // ===== HISTORY =====
+    loadHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('consoleHistory')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    pushHistory(command) {
+        if (this.history[this.history.length - 1] !== command) {
+            this.history.push(command);
+            this.history = this.history.slice(-this.maxHistory);
+            localStorage.setItem('consoleHistory', JSON.stringify(this.history));
+        }
+        this.historyIndex = this.history.length;
+        this.draft = '';
+    }
+
+    navigateHistory(direction) {
+        if (!this.history.length) return;
+
+        if (this.historyIndex === this.history.length) {
+            this.draft = this.input.value;
+        }
+
+        this.historyIndex = Math.min(Math.max(this.historyIndex + direction, 0), this.history.length);
+        this.input.value = this.historyIndex === this.history.length ? this.draft : this.history[this.historyIndex];
+        this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+    }
+
+    // ===== KEYBOARD HANDLING =====
+    handleKeydown(e) {
+        const suggestionsOpen = this.suggestions.length > 0;
+
+        switch (e.key) {
+            case 'Enter':
+                e.preventDefault();
+                if (suggestionsOpen && this.isPartialToken()) {
+                    this.applySuggestion(this.suggestionIndex);
+                } else {
+                    this.submit();
+                }
+                break;
+            case 'Tab':
+                if (suggestionsOpen) {
+                    e.preventDefault();
+                    this.applySuggestion(this.suggestionIndex);
+                }
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                if (suggestionsOpen) {
+                    this.moveSuggestion(-1);
+                } else {
+                    this.navigateHistory(-1);
+                }
+                break;
+            case 'ArrowDown':
+                e.preventDefault();
+                if (suggestionsOpen) {
+                    this.moveSuggestion(1);
+                } else {
+                    this.navigateHistory(1);
+                }
+                break;
+            case 'Escape':
+                if (suggestionsOpen) {
+                    this.hideSuggestions();
+                } else {
+                    this.close();
+                }
+                break;
+        }
+    }
+
+    // ===== AUTOCOMPLETION =====
+    getCompletionContext() {
+        const value = this.input.value;
+        const tokens = value.split(/\s+/);
+        const current = tokens[tokens.length - 1];
+        return { tokens, current, tokenIndex: tokens.length - 1 };
+    }
+
+    isPartialToken() {
+        const { current } = this.getCompletionContext();
+        const suggestion = this.suggestions[this.suggestionIndex];
+        return Boolean(current) && suggestion && suggestion.value !== current;
+    }
+
+    updateSuggestions() {
+        const { tokens, current, tokenIndex } = this.getCompletionContext();
+        const needle = current.toLowerCase();
+        let candidates = [];
+
+        if (tokenIndex === 0) {
+            candidates = (window.commandManager?.getAvailableCommands() || [])
+                .flatMap(command => [
+                    { value: command.name, hint: command.description },
+                    ...command.aliases.map(alias => ({ value: alias, hint: `alias of ${command.name}` }))
+                ]);
+        } else {
+            const command = window.commandManager?.getCommand(tokens[0]);
+            const arg = command?.args[tokenIndex - 1];
+            candidates = this.getArgumentCandidates(arg);
+        }
+
+        this.suggestions = needle || tokenIndex > 0
+            ? candidates.filter(candidate => candidate.value.toLowerCase().startsWith(needle)).slice(0, 8)
+            : [];
+        this.suggestionIndex = 0;
+        this.renderSuggestions();
+    }
+
+    getArgumentCandidates(arg) {
+        if (!arg) return [];
+
+        if (arg.choices) {
+            return arg.choices.map(choice => ({ value: String(choice), hint: arg.name }));
+        }
+
+        if (arg.type === 'server') {
+            return (window.searchManager?.servers || []).map(server => ({
+                value: String(server.id),
+                hint: server.name
+            }));
+        }
+
+        // Free-form arguments just show what is expected next
+        return [{ value: `<${arg.name}>`, hint: arg.description || arg.type || '', placeholder: true }];
+    }
+
+    renderSuggestions() {
+        if (!this.suggestions.length) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestionList.innerHTML = this.suggestions.map((suggestion, index) => `
+            <li class="${index === this.suggestionIndex ? 'selected' : ''} ${suggestion.placeholder ? 'placeholder' : ''}" data-index="${index}">
+                <span>${escapeHtml(suggestion.value)}</span>
+                <small>${escapeHtml(suggestion.hint)}</small>
+            </li>
+        `).join('');
+        this.suggestionList.classList.add('open');
+    }
+
+    moveSuggestion(direction) {
+        this.suggestionIndex = (this.suggestionIndex + direction + this.suggestions.length) % this.suggestions.length;
+        this.renderSuggestions();
+    }
+
+    applySuggestion(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion || suggestion.placeholder) {
+            this.hideSuggestions();
+            return;
+        }
+
+        const { tokens } = this.getCompletionContext();
+        tokens[tokens.length - 1] = suggestion.value;
+        this.input.value = `${tokens.join(' ')} `;
+        this.updateSuggestions();
+    }
+
+    hideSuggestions() {
+        this.suggestions = [];
+        this.suggestionList.classList.remove('open');
+        this.suggestionList.innerHTML = '';
+    }
+
+    // ===== EXECUTION =====
+    async submit() {
+        const command = this.input.value.trim();
+        this.hideSuggestions();
+        if (!command) return;
+
+        this.input.value = '';
+        this.pushHistory(command);
+
+        if (command === 'clear') {
+            this.clear();
+            return;
+        }
+
+        if (!window.dashboard) return;
+
+        const requestId = window.dashboard.generateRequestId();
+        this.addEntry(requestId, command);
+
+        const permissions = window.permissionManager;
+        const commandName = command.split(/\s+/)[0];
+        if (permissions && !permissions.canRunCommand(commandName)) {
+            const permission = window.commandManager?.getCommand(commandName)?.permission || 'commands.execute';
+            this.handleResult(requestId, { success: false, message: permissions.getDeniedReason(permission), done: true });
+            return;
+        }
+
+        const data = await window.dashboard.executeCommand(command, { requestId, silent: true });
+        this.handleResult(requestId, { ...data, done: !data.pending });
+    }
+
+    addEntry(requestId, command) {
+        const element = document.createElement('div');
+        element.className = 'console-entry running';
+        element.innerHTML = `
+            <div class="console-entry-header">
+                <span class="console-entry-command">&gt; ${escapeHtml(command)}</span>
+                <span class="console-entry-meta">
+                    <span class="console-entry-status">running</span>
+                    <span class="console-entry-duration"></span>
+                    <span class="console-entry-time">${new Date().toLocaleTimeString()}</span>
+                </span>
+            </div>
+            <pre class="console-entry-output"></pre>
+        `;
+        element.title = `Request ${requestId}`;
+
+        this.entries.set(requestId, {
+            command,
+            element,
+            startedAt: performance.now(),
+            output: [],
+            done: false
+        });
+
+        this.log.appendChild(element);
+        this.trimEntries();
+        this.scrollToBottom();
+    }
+
+    handleResult(requestId, data) {
+        const entry = this.entries.get(requestId);
+        if (!entry || entry.done) return;
+
+        // Streamed chunks arrive as `output`; the final message is appended once
+        const chunk = data.output ?? data.message;
+        if (chunk && entry.output[entry.output.length - 1] !== chunk) {
+            entry.output.push(chunk);
+        }
+
+        const finished = data.done !== false;
+        const status = finished ? (data.success ? 'success' : 'error') : (data.queued ? 'queued' : 'running');
+
+        entry.done = finished;
+        entry.element.className = `console-entry ${status}`;
+        entry.element.querySelector('.console-entry-status').textContent = status;
+        entry.element.querySelector('.console-entry-output').textContent = entry.output.join('\n');
+
+        if (finished) {
+            const duration = performance.now() - entry.startedAt;
+            entry.element.querySelector('.console-entry-duration').textContent = this.formatDuration(duration);
+
+            // Failures stay in the notification center even after the console is closed
+            if (!data.success) {
+                window.notificationCenter?.add({
+                    message: data.message || 'Command failed',
+                    type: 'error',
+                    source: 'command',
+                    title: entry.command
+                });
+            }
+        }
+
+        this.scrollToBottom();
+    }
+
+    formatDuration(ms) {
+        return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+    }
+
+    trimEntries() {
+        while (this.entries.size > this.maxEntries) {
+            const [oldestId, oldest] = this.entries.entries().next().value;
+            oldest.element.remove();
+            this.entries.delete(oldestId);
+        }
+    }
+
+    clear() {
+        this.entries.forEach(entry => entry.element.remove());
+        this.entries.clear();
+    }
+
+    scrollToBottom() {
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+}
+
+// Initialize console when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.commandConsole = new CommandConsole();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandConsole;
+}
@@ -0,0 +1,266 @@
+// ===== CONNECTION DIAGNOSTICS =====
+// Drawer showing what the socket layer is doing: transport, ping, reconnect history and event throughput
+
+class ConnectionDiagnostics {
+    constructor() {
+        this.drawer = null;
+        this.refreshTimer = null;
+        this.refreshInterval = 1000;
+        this.historyLabels = {
+            connecting: 'Connecting',
+            connected: 'Connected',
+            disconnected: 'Disconnected',
+            connect_error: 'Connection error',
+            reconnect_scheduled: 'Reconnect scheduled',
+            transport_upgrade: 'Transport upgraded',
+            polling_started: 'Polling started',
+            polling_stopped: 'Polling stopped',
+            socket_probe: 'Trying the socket again',
+            browser_offline: 'Browser offline',
+            manual_reconnect: 'Manual reconnect',
+            force_polling_on: 'Forced polling on',
+            force_polling_off: 'Forced polling off'
+        };
+        this.transportLabels = {
+            websocket: 'WebSocket',
+            polling: 'Socket.IO long-polling',
+            'rest-polling': 'REST polling fallback',
+            none: 'None'
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('connectionIndicator')?.addEventListener('click', () => this.open());
+        document.getElementById('botStatus')?.addEventListener('click', () => this.open());
+
+        // Ctrl+Shift+` (next to the console's Ctrl+`), for when the header itself looks frozen.
+        // Matched on the physical key since Shift turns ` into a different character per layout.
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.shiftKey && e.code === 'Backquote') {
+                e.preventDefault();
+                this.open();
+            }
+        });
+
+        ['diagnostics_update', 'latency'].forEach(event => {
+            window.socketManager?.on(event, () => {
+                if (this.drawer?.open) {
+                    this.render();
+                }
+            });
+        });
+    }
+
+    // ===== PANEL =====
+    open() {
+        if (!window.socketManager) return;
+        if (!this.drawer) {
+            this.createDrawer();
+        }
+
+        this.render();
+        this.drawer.show();
+
+        // Ages and per-minute rates move on their own, so refresh while visible
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => this.render(), this.refreshInterval);
+    }
+
+    createDrawer() {
+        this.drawer = document.createElement('sl-drawer');
+        this.drawer.label = 'Connection Diagnostics';
+        this.drawer.className = 'diagnostics-drawer';
+        this.drawer.innerHTML = `
+            <div class="diagnostics-panel">
+                <section class="diagnostics-section">
+                    <div class="diagnostics-grid" data-diagnostics="summary"></div>
+                    <div class="diagnostics-actions">
+                        <button type="button" class="view-all" data-diagnostics-action="reconnect">
+                            <i class="fas fa-plug"></i> Reconnect now
+                        </button>
+                        <label class="form-check">
+                            <input type="checkbox" class="form-check-input" data-diagnostics-action="force-polling">
+                            <span>Force polling</span>
+                        </label>
+                        <button type="button" class="view-all" data-diagnostics-action="copy">
+                            <i class="fas fa-copy"></i> Copy report
+                        </button>
+                    </div>
+                </section>
+
+                <section class="diagnostics-section">
+                    <h4>Round-trip latency</h4>
+                    <svg class="diagnostics-rtt" data-diagnostics="rtt" preserveAspectRatio="none" aria-hidden="true"></svg>
+                </section>
+
+                <section class="diagnostics-section">
+                    <h4>Event throughput</h4>
+                    <table class="diagnostics-table">
+                        <thead>
+                            <tr><th>Event</th><th>Total</th><th>Last min</th><th>Last seen</th></tr>
+                        </thead>
+                        <tbody data-diagnostics="events"></tbody>
+                    </table>
+                </section>
+
+                <section class="diagnostics-section">
+                    <h4>Connection history</h4>
+                    <ol class="diagnostics-history" data-diagnostics="history"></ol>
+                </section>
+            </div>
+        `;
+        document.body.appendChild(this.drawer);
+
+        this.drawer.addEventListener('sl-after-hide', () => {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        });
+
+        this.drawer.addEventListener('click', (e) => {
+            const action = e.target.closest('button[data-diagnostics-action]')?.dataset.diagnosticsAction;
+            if (action === 'reconnect') {
+                window.socketManager.reconnectNow();
+            } else if (action === 'copy') {
+                this.copyReport();
+            }
+        });
+
+        this.drawer.addEventListener('change', (e) => {
+            if (e.target.matches('[data-diagnostics-action="force-polling"]')) {
+                window.socketManager.setForcePolling(e.target.checked);
+            }
+        });
+    }
+
+    // ===== RENDERING =====
+    render() {
+        const data = window.socketManager.getDiagnostics();
+        const section = (name) => this.drawer.querySelector(`[data-diagnostics="${name}"]`);
+
+        // Servers without a latency_ping handler get no ping rows rather than 100% loss
+        const pingRows = data.pingSupported === false ? [] : [
+            ['Ping', data.rtt !== null ? `${data.rtt}ms (avg ${data.rttAverage}ms)` : '—'],
+            ['Lost pings', `${data.lostPings} of last ${data.rttSamples.length}`]
+        ];
+        const rows = [
+            ['State', data.state],
+            ['Transport', this.transportLabels[data.transport] || data.transport],
+            ...pingRows,
+            ['Reconnect attempts', `${data.reconnectAttempts}/${data.maxReconnectAttempts}${data.reconnectPending ? ', retry pending' : ''}`],
+            ['Last message', data.lastMessageAt ? this.formatAge(data.lastMessageAt) : 'Nothing received yet']
+        ];
+        section('summary').innerHTML = rows.map(([label, value]) => `
+            <span class="diagnostics-label">${label}</span>
+            <span class="diagnostics-value">${escapeHtml(value)}</span>
+        `).join('');
+
+        this.drawer.querySelector('[data-diagnostics-action="force-polling"]').checked = data.forcePolling;
+        section('rtt').closest('.diagnostics-section').hidden = data.pingSupported === false;
+        this.renderRtt(section('rtt'), data.rttSamples);
+
+        section('events').innerHTML = data.events.length
+            ? data.events.map(event => `
+                <tr>
+                    <td><code>${escapeHtml(event.event)}</code></td>
+                    <td>${formatNumber(event.count)}</td>
+                    <td>${formatNumber(event.perMinute)}</td>
+                    <td>${this.formatAge(event.lastAt)}</td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="4">No events received yet</td></tr>';
+
+        section('history').innerHTML = data.history.map(entry => `
+            <li class="diagnostics-history-item ${escapeHtml(entry.type)}">
+                <span class="diagnostics-history-time">${new Date(entry.time).toLocaleTimeString()}</span>
+                <span>${escapeHtml(this.historyLabels[entry.type] || entry.type)}${this.describeEntry(entry)}</span>
+            </li>
+        `).join('');
+    }
+
+    describeEntry(entry) {
+        const details = [];
+        if (entry.reason) details.push(escapeHtml(entry.reason));
+        if (entry.attempt) details.push(`attempt ${entry.attempt}`);
+        if (entry.delay) details.push(`in ${(entry.delay / 1000).toFixed(1)}s`);
+        return details.length ? ` <small>(${details.join(', ')})</small>` : '';
+    }
+
+    renderRtt(svg, samples) {
+        // Lost pings become gaps in the line and red ticks along the bottom
+        const width = 300;
+        const height = 60;
+        const answered = samples.filter(sample => sample.rtt !== null);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        if (!samples.length) {
+            svg.innerHTML = `<text x="${width / 2}" y="${height / 2}" text-anchor="middle">No pings yet</text>`;
+            return;
+        }
+
+        const max = Math.max(50, ...answered.map(sample => sample.rtt));
+        const step = samples.length > 1 ? width / (samples.length - 1) : width;
+        const x = (index) => (samples.length > 1 ? index * step : width / 2).toFixed(1);
+        const y = (rtt) => (height - 4 - (rtt / max) * (height - 8)).toFixed(1);
+
+        const segments = [];
+        let current = [];
+        samples.forEach((sample, index) => {
+            if (sample.rtt === null) {
+                if (current.length) segments.push(current);
+                current = [];
+            } else {
+                current.push(`${x(index)},${y(sample.rtt)}`);
+            }
+        });
+        if (current.length) segments.push(current);
+
+        svg.innerHTML = [
+            ...segments.map(points => `<polyline points="${points.join(' ')}"></polyline>`),
+            ...samples.map((sample, index) => (sample.rtt === null
+                ? `<line class="lost" x1="${x(index)}" x2="${x(index)}" y1="${height - 6}" y2="${height}"></line>`
+                : '')),
+            `<text class="max" x="2" y="10">${max}ms</text>`
+        ].join('');
+    }
+
+    formatAge(timestamp) {
+        const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s ago`;
+        return new Date(timestamp).toLocaleTimeString();
+    }
+
+    async copyReport() {
+        // Something to paste into a bug report when the dashboard looks frozen
+        const report = {
+            generated_at: new Date().toISOString(),
+            page: window.location.pathname,
+            online: navigator.onLine,
+            user_agent: navigator.userAgent,
+            ...window.socketManager.getDiagnostics()
+        };
+
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+            window.dashboard?.showNotification('Diagnostics copied to clipboard', 'success');
+        } catch (error) {
+            downloadFile(`musebot-diagnostics-${exportTimestamp()}.json`, JSON.stringify(report, null, 2), 'application/json');
+        }
+    }
+}
+
+// Initialize diagnostics after the socket manager so it can subscribe
+document.addEventListener('DOMContentLoaded', function() {
+    window.connectionDiagnostics = new ConnectionDiagnostics();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConnectionDiagnostics;
+}
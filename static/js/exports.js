@@ -0,0 +1,119 @@
+// ===== EXPORT MANAGER =====
+// PNG, CSV and JSON downloads for chart cards and other tabular data
+
+class ExportManager {
+    constructor() {
+        this.chartTitles = {
+            commandUsage: 'Command Usage',
+            serverGrowth: 'Server Growth'
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Export menus are plain sl-dropdowns; data-export-chart / data-export say what they export
+        document.addEventListener('sl-select', (e) => {
+            const menu = e.target.closest('.export-menu');
+            if (!menu) return;
+
+            const format = e.detail.item.value;
+            if (menu.dataset.exportChart) {
+                this.exportChart(menu.dataset.exportChart, format);
+            } else if (menu.dataset.export === 'activity') {
+                window.activityLog?.export(format);
+            } else if (menu.dataset.export === 'report') {
+                window.reportBuilder?.export(format);
+            }
+        });
+    }
+
+    // ===== CHARTS =====
+    getChart(name) {
+        return window.chartManager?.charts.get(name) || null;
+    }
+
+    getChartSeries(name) {
+        const chart = this.getChart(name);
+        if (!chart) return null;
+
+        return {
+            chart: name,
+            title: this.chartTitles[name] || name,
+            range: window.chartManager.currentRange,
+            exported_at: new Date().toISOString(),
+            labels: [...chart.data.labels],
+            datasets: chart.data.datasets.map(dataset => ({
+                label: dataset.label || 'Value',
+                data: [...dataset.data]
+            }))
+        };
+    }
+
+    exportChart(name, format) {
+        const series = this.getChartSeries(name);
+        if (!series) {
+            window.dashboard?.showNotification('Chart is not loaded yet', 'warning');
+            return;
+        }
+
+        const filename = `musebot-${name}-${series.range || 'live'}-${exportTimestamp()}`;
+
+        switch (format) {
+            case 'png':
+                downloadFile(`${filename}.png`, this.renderChartImage(this.getChart(name)));
+                break;
+            case 'csv': {
+                const rows = series.labels.map((label, index) => ({ label, index }));
+                const columns = [
+                    { label: 'Label', value: row => row.label },
+                    ...series.datasets.map(dataset => ({ label: dataset.label, value: row => dataset.data[row.index] }))
+                ];
+                downloadFile(`${filename}.csv`, toCsv(rows, columns), 'text/csv');
+                break;
+            }
+            case 'json':
+                downloadFile(`${filename}.json`, JSON.stringify(series, null, 2), 'application/json');
+                break;
+        }
+    }
+
+    renderChartImage(chart) {
+        // The canvas is transparent; paint the card background so the PNG reads outside the dashboard
+        const source = chart.canvas;
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--card-bg').trim() || '#2f3136';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(source, 0, 0);
+
+        return canvas.toDataURL('image/png');
+    }
+
+    // ===== TABLES =====
+    exportRows(filename, rows, columns, format, meta = {}) {
+        if (format === 'csv') {
+            downloadFile(`${filename}.csv`, toCsv(rows, columns), 'text/csv');
+        } else {
+            const payload = { ...meta, exported_at: new Date().toISOString(), count: rows.length, items: rows };
+            downloadFile(`${filename}.json`, JSON.stringify(payload, null, 2), 'application/json');
+        }
+    }
+}
+
+// Initialize export manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.exportManager = new ExportManager();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportManager;
+}
@@ -0,0 +1,319 @@
+// ===== DASHBOARD LAYOUT =====
+// Reorderable, resizable, collapsible and hideable dashboard widgets, saved per user
+
+class DashboardLayout {
+    constructor() {
+        this.storagePrefix = 'dashboardLayout:';
+        this.lastUserKey = 'dashboardLayoutUser';
+        this.spans = [
+            { value: 4, label: 'Small' },
+            { value: 6, label: 'Medium' },
+            { value: 8, label: 'Large' },
+            { value: 12, label: 'Full width' }
+        ];
+        this.grid = document.getElementById('dashboardWidgets');
+        this.editing = false;
+        this.dragged = null;
+        this.dropped = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.grid) return;
+
+        this.widgets = Array.from(this.grid.querySelectorAll('[data-widget]'));
+        this.defaults = this.getDefaults();
+        this.userId = localStorage.getItem(this.lastUserKey) || 'default';
+        this.layout = this.load();
+
+        this.widgets.forEach(widget => this.createToolbar(widget));
+        this.setupEventListeners();
+        this.setupDragAndDrop();
+        this.apply();
+    }
+
+    setupEventListeners() {
+        document.getElementById('layoutEditBtn')?.addEventListener('click', () => {
+            this.setEditing(!this.editing);
+        });
+
+        document.getElementById('layoutResetBtn')?.addEventListener('click', () => {
+            this.reset();
+        });
+
+        document.getElementById('widgetPicker')?.addEventListener('sl-select', (e) => {
+            this.show(e.detail.item.value);
+        });
+
+        this.grid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-widget-action]');
+            if (!button) return;
+
+            const id = button.closest('[data-widget]').dataset.widget;
+            switch (button.dataset.widgetAction) {
+                case 'collapse':
+                    this.update(id, { collapsed: !this.layout.widgets[id].collapsed });
+                    break;
+                case 'hide':
+                    this.update(id, { hidden: true });
+                    break;
+                case 'earlier':
+                    this.move(id, -1);
+                    break;
+                case 'later':
+                    this.move(id, 1);
+                    break;
+            }
+        });
+
+        this.grid.addEventListener('change', (e) => {
+            if (e.target.matches('.widget-size')) {
+                const id = e.target.closest('[data-widget]').dataset.widget;
+                this.update(id, { span: parseInt(e.target.value) });
+            }
+        });
+
+        // The layout belongs to whoever is signed in, which is only known once /api/me answers
+        document.addEventListener('permissionschange', (e) => {
+            const userId = String(e.detail.user?.id || 'default');
+            if (userId === this.userId) return;
+
+            this.userId = userId;
+            localStorage.setItem(this.lastUserKey, userId);
+            this.layout = this.load();
+            this.apply();
+        });
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.getStorageKey()) {
+                this.layout = this.load();
+                this.apply();
+            }
+        });
+    }
+
+    setupDragAndDrop() {
+        this.grid.addEventListener('dragstart', (e) => {
+            const widget = e.target.closest('[data-widget]');
+            if (!this.editing || !widget) return;
+
+            this.dragged = widget;
+            this.dropped = false;
+            widget.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', widget.dataset.widget);
+        });
+
+        // Widgets move live while dragging so the drop position is visible
+        this.grid.addEventListener('dragover', (e) => {
+            if (!this.dragged) return;
+
+            // Anywhere in the grid is a valid drop, including the gaps between widgets
+            e.preventDefault();
+            const target = e.target.closest('[data-widget]');
+            if (!target || target === this.dragged) return;
+
+            const rect = target.getBoundingClientRect();
+            const fullWidth = rect.width > this.grid.clientWidth * 0.75;
+            const after = fullWidth
+                ? e.clientY > rect.top + rect.height / 2
+                : e.clientX > rect.left + rect.width / 2;
+            target.insertAdjacentElement(after ? 'afterend' : 'beforebegin', this.dragged);
+        });
+
+        // Only a drop commits the new order
+        this.grid.addEventListener('drop', (e) => {
+            if (!this.dragged) return;
+
+            e.preventDefault();
+            this.dropped = true;
+            this.layout.order = Array.from(this.grid.querySelectorAll('[data-widget]')).map(widget => widget.dataset.widget);
+            this.save();
+        });
+
+        this.grid.addEventListener('dragend', () => {
+            if (!this.dragged) return;
+
+            this.dragged.classList.remove('dragging');
+            this.dragged = null;
+
+            // Esc or a drop outside the grid: undo the live reordering
+            if (!this.dropped) {
+                this.apply();
+            }
+        });
+    }
+
+    // ===== LAYOUT STATE =====
+    getDefaults() {
+        // The template's own order and spans are the default layout
+        const widgets = {};
+        this.widgets.forEach(widget => {
+            widgets[widget.dataset.widget] = {
+                span: parseInt(widget.dataset.widgetSpan) || 12,
+                collapsed: false,
+                hidden: false
+            };
+        });
+        return { order: this.widgets.map(widget => widget.dataset.widget), widgets };
+    }
+
+    getStorageKey() {
+        return `${this.storagePrefix}${this.userId}`;
+    }
+
+    load() {
+        const defaults = JSON.parse(JSON.stringify(this.defaults));
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.getStorageKey()));
+            if (!stored) return defaults;
+
+            // Widgets added since the layout was saved are appended; removed ones are dropped
+            const known = defaults.order;
+            const order = (stored.order || []).filter(id => known.includes(id));
+            known.forEach(id => {
+                if (!order.includes(id)) order.push(id);
+            });
+
+            const widgets = {};
+            known.forEach(id => {
+                widgets[id] = { ...defaults.widgets[id], ...stored.widgets?.[id] };
+            });
+            return { order, widgets };
+        } catch (error) {
+            console.error('Failed to load dashboard layout:', error);
+            return defaults;
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.getStorageKey(), JSON.stringify(this.layout));
+    }
+
+    // ===== PUBLIC METHODS =====
+    update(id, changes) {
+        Object.assign(this.layout.widgets[id], changes);
+        this.save();
+        this.apply();
+    }
+
+    show(id) {
+        if (!this.layout.widgets[id]) return;
+        this.update(id, { hidden: false, collapsed: false });
+        this.grid.querySelector(`[data-widget="${id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    move(id, offset) {
+        const order = this.layout.order;
+        const index = order.indexOf(id);
+        const target = index + offset;
+        if (target < 0 || target >= order.length) return;
+
+        order.splice(index, 1);
+        order.splice(target, 0, id);
+        this.save();
+        this.apply();
+        this.grid.querySelector(`[data-widget="${id}"] [data-widget-action="${offset < 0 ? 'earlier' : 'later'}"]`)?.focus();
+    }
+
+    reset() {
+        localStorage.removeItem(this.getStorageKey());
+        this.layout = this.load();
+        this.apply();
+        window.dashboard?.showNotification('Dashboard layout reset', 'info');
+    }
+
+    setEditing(editing) {
+        this.editing = editing;
+        this.grid.classList.toggle('editing', editing);
+        this.widgets.forEach(widget => {
+            widget.draggable = editing;
+        });
+
+        const button = document.getElementById('layoutEditBtn');
+        if (button) {
+            button.querySelector('span').textContent = editing ? 'Done' : 'Customize';
+        }
+        const reset = document.getElementById('layoutResetBtn');
+        if (reset) {
+            reset.hidden = !editing;
+        }
+    }
+
+    // ===== RENDERING =====
+    createToolbar(widget) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'widget-toolbar';
+        toolbar.innerHTML = `
+            <i class="fas fa-grip-vertical widget-drag-handle" title="Drag to move"></i>
+            <span class="widget-title">${escapeHtml(widget.dataset.widgetTitle || widget.dataset.widget)}</span>
+            <div class="widget-controls">
+                <select class="form-select widget-size" title="Widget size">
+                    ${this.spans.map(span => `<option value="${span.value}">${span.label}</option>`).join('')}
+                </select>
+                <button type="button" class="widget-control" data-widget-action="earlier" title="Move earlier">
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+                <button type="button" class="widget-control" data-widget-action="later" title="Move later">
+                    <i class="fas fa-arrow-right"></i>
+                </button>
+                <button type="button" class="widget-control" data-widget-action="collapse" title="Collapse">
+                    <i class="fas fa-chevron-up"></i>
+                </button>
+                <button type="button" class="widget-control" data-widget-action="hide" title="Hide">
+                    <i class="fas fa-eye-slash"></i>
+                </button>
+            </div>
+        `;
+        widget.prepend(toolbar);
+    }
+
+    apply() {
+        this.layout.order.forEach(id => {
+            const widget = this.grid.querySelector(`[data-widget="${id}"]`);
+            if (!widget) return;
+
+            const state = this.layout.widgets[id];
+            this.grid.appendChild(widget);
+            widget.style.setProperty('--widget-span', state.span);
+            widget.hidden = state.hidden;
+            widget.classList.toggle('collapsed', state.collapsed);
+
+            widget.querySelector('.widget-size').value = String(state.span);
+            const collapse = widget.querySelector('[data-widget-action="collapse"]');
+            collapse.title = state.collapsed ? 'Expand' : 'Collapse';
+            collapse.querySelector('i').className = `fas fa-chevron-${state.collapsed ? 'down' : 'up'}`;
+        });
+
+        this.renderPicker();
+    }
+
+    renderPicker() {
+        const menu = document.getElementById('widgetPickerMenu');
+        if (!menu) return;
+
+        const hidden = this.layout.order.filter(id => this.layout.widgets[id].hidden);
+        menu.innerHTML = hidden.length
+            ? hidden.map(id => {
+                const title = this.grid.querySelector(`[data-widget="${id}"]`)?.dataset.widgetTitle || id;
+                return `<sl-menu-item value="${id}">${escapeHtml(title)}</sl-menu-item>`;
+            }).join('')
+            : '<sl-menu-item disabled>All widgets are shown</sl-menu-item>';
+
+        const trigger = document.getElementById('widgetPickerBtn');
+        if (trigger) {
+            trigger.title = hidden.length ? `${hidden.length} hidden widget(s)` : 'All widgets are shown';
+        }
+    }
+}
+
+// Initialize dashboard layout when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.dashboardLayout = new DashboardLayout();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardLayout;
+}
@@ -0,0 +1,275 @@
+// ===== METRICS STORE =====
+// Every stats sample (CPU, memory, latency, uptime) kept in IndexedDB, plus disconnect/restart markers
+
+class MetricsStore {
+    constructor() {
+        this.dbName = 'musebot-metrics';
+        this.dbVersion = 1;
+        this.retention = 7 * 24 * 60 * 60 * 1000;
+        this.maxSamples = 150000;
+        this.pruneInterval = 60 * 60 * 1000;
+        this.flushDelay = 2000;
+        this.pending = { samples: [], events: [] };
+        this.flushTimer = null;
+        this.lastSample = null;
+        this.wasConnected = null;
+        this.db = null;
+        this.writerLock = 'musebot-metrics-writer';
+        this.isWriter = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!('indexedDB' in window)) {
+            console.warn('IndexedDB unavailable, metrics history is disabled');
+            return;
+        }
+
+        this.ready = this.open()
+            .then(db => {
+                this.db = db;
+                return this.loadLastSample();
+            })
+            .then(() => {
+                this.prune();
+                setInterval(() => this.prune(), this.pruneInterval);
+            })
+            .catch(error => console.error('Failed to open metrics store:', error));
+
+        this.claimWriter();
+        this.subscribeToSocket();
+
+        // Buffered samples would be lost on navigation otherwise
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    subscribeToSocket() {
+        const socketManager = window.socketManager;
+        if (!socketManager) return;
+
+        socketManager.on('stats_update', (data) => this.record(data));
+        socketManager.on('polling_update', (data) => {
+            if (data.stats) {
+                this.record(data.stats);
+            }
+        });
+
+        socketManager.on('connection_change', (data) => {
+            // Only transitions are markers; the first state seen on page load is not
+            if (this.wasConnected !== null && this.wasConnected !== data.connected) {
+                this.addEvent(data.connected ? 'reconnect' : 'disconnect', { reason: data.reason || '' });
+            }
+            this.wasConnected = data.connected;
+        });
+    }
+
+    claimWriter() {
+        // Every open tab sees the same feed, so only the tab holding the lock stores it; the next takes over when it closes
+        if (!navigator.locks) {
+            this.isWriter = true;
+            return;
+        }
+
+        navigator.locks.request(this.writerLock, () => {
+            this.isWriter = true;
+
+            // Continue from the previous writer's last sample so restarts are still detected
+            this.ready.then(() => this.db && this.loadLastSample()).catch(() => {});
+            return new Promise(() => {});
+        });
+    }
+
+    // ===== DATABASE =====
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('samples')) {
+                    db.createObjectStore('samples', { keyPath: 't' });
+                }
+                if (!db.objectStoreNames.contains('events')) {
+                    const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+                    events.createIndex('t', 't');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transaction(stores, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadLastSample() {
+        const store = this.db.transaction('samples').objectStore('samples');
+        const cursor = await this.requestToPromise(store.openCursor(null, 'prev'));
+        this.lastSample = cursor ? cursor.value : null;
+    }
+
+    // ===== RECORDING =====
+    record(stats) {
+        if (!this.isWriter) return;
+
+        const metrics = window.alertRules ? window.alertRules.readMetrics(stats) : {};
+        const sample = {
+            t: stats.timestamp ? new Date(stats.timestamp).getTime() : Date.now(),
+            cpu: this.toNumber(metrics.cpu),
+            memory: this.toNumber(metrics.memory),
+            latency: this.toNumber(metrics.latency),
+            uptime: this.parseUptime(stats.uptime)
+        };
+
+        // Uptime going backwards means the bot restarted since the previous sample
+        const previous = this.lastSample;
+        if (previous && previous.uptime !== null && sample.uptime !== null && sample.uptime + 5 < previous.uptime) {
+            this.addEvent('restart', { uptime: sample.uptime }, sample.t - sample.uptime * 1000);
+        }
+
+        this.lastSample = sample;
+        this.pending.samples.push(sample);
+        this.scheduleFlush();
+    }
+
+    addEvent(type, details = {}, timestamp = Date.now()) {
+        if (!this.isWriter) return;
+
+        this.pending.events.push({ type, t: timestamp, ...details });
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.db) return;
+
+        const { samples, events } = this.pending;
+        if (!samples.length && !events.length) return;
+        this.pending = { samples: [], events: [] };
+
+        this.transaction(['samples', 'events'], 'readwrite', (tx) => {
+            const sampleStore = tx.objectStore('samples');
+            const eventStore = tx.objectStore('events');
+            samples.forEach(sample => sampleStore.put(sample));
+            events.forEach(event => eventStore.add(event));
+        }).catch(error => console.error('Failed to store metrics:', error));
+    }
+
+    toNumber(value) {
+        return Number.isFinite(value) ? value : null;
+    }
+
+    parseUptime(value) {
+        // Seconds, or a formatted "1d 2h 3m 4s" string
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return null;
+
+        const units = { d: 86400, h: 3600, m: 60, s: 1 };
+        let seconds = 0;
+        let matched = false;
+        value.replace(/(\d+(?:\.\d+)?)\s*([dhms])/gi, (match, amount, unit) => {
+            seconds += parseFloat(amount) * units[unit.toLowerCase()];
+            matched = true;
+            return match;
+        });
+
+        if (matched) return seconds;
+        const numeric = parseFloat(value);
+        return Number.isFinite(numeric) ? numeric : null;
+    }
+
+    // ===== RETENTION =====
+    async prune() {
+        if (!this.db) return;
+
+        const cutoff = IDBKeyRange.upperBound(Date.now() - this.retention);
+
+        try {
+            await this.transaction(['samples', 'events'], 'readwrite', (tx) => {
+                tx.objectStore('samples').delete(cutoff);
+                tx.objectStore('events').index('t').openCursor(cutoff).onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            });
+
+            // Age alone doesn't bound a fast stats feed; drop the oldest beyond the cap
+            const count = await this.requestToPromise(this.db.transaction('samples').objectStore('samples').count());
+            if (count > this.maxSamples) {
+                await this.transaction('samples', 'readwrite', (tx) => {
+                    let excess = count - this.maxSamples;
+                    tx.objectStore('samples').openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (cursor && excess-- > 0) {
+                            cursor.delete();
+                            cursor.continue();
+                        }
+                    };
+                });
+            }
+        } catch (error) {
+            console.error('Failed to prune metrics:', error);
+        }
+    }
+
+    // ===== PUBLIC METHODS =====
+    async query(from, to) {
+        await this.ready;
+        if (!this.db) return { samples: [], events: [] };
+        this.flush();
+
+        const range = IDBKeyRange.bound(from, to);
+        const tx = this.db.transaction(['samples', 'events']);
+        const [samples, events] = await Promise.all([
+            this.requestToPromise(tx.objectStore('samples').getAll(range)),
+            this.requestToPromise(tx.objectStore('events').index('t').getAll(range))
+        ]);
+        return { samples, events };
+    }
+
+    async clear() {
+        await this.ready;
+        if (!this.db) return;
+
+        this.pending = { samples: [], events: [] };
+        this.lastSample = null;
+        await this.transaction(['samples', 'events'], 'readwrite', (tx) => {
+            tx.objectStore('samples').clear();
+            tx.objectStore('events').clear();
+        });
+    }
+}
+
+// Initialize metrics store when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.metricsStore = new MetricsStore();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MetricsStore;
+}
@@ -0,0 +1,355 @@
+// ===== MUSIC PLAYER PANEL =====
+// Live per-guild music players with playback, volume and queue controls
+
+class MusicPanel {
+    constructor() {
+        this.players = new Map();
+        this.container = document.getElementById('musicPlayerList');
+        this.progressTimer = null;
+        this.deferredRender = null;
+        this.interactingGuild = null;
+        this.dragIndex = null;
+        this.dragGuild = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.setupEventListeners();
+        this.subscribeToSocket();
+        this.loadPlayers();
+
+        // Advance progress bars locally between socket updates
+        this.progressTimer = setInterval(() => this.updateProgress(), 1000);
+    }
+
+    // ===== SETUP FUNCTIONS =====
+    setupEventListeners() {
+        // Permissions can arrive after the first render (draggable is baked into the markup)
+        document.addEventListener('permissionschange', () => this.render());
+
+        // Delegated so re-rendered player cards need no rebinding
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-music-action]');
+            if (!button) return;
+
+            const guildId = button.closest('.music-player').dataset.guild;
+            const action = button.dataset.musicAction;
+
+            if (action === 'remove') {
+                this.sendControl(guildId, 'remove', { index: parseInt(button.dataset.index) });
+            } else if (action === 'toggle-queue') {
+                button.closest('.music-player').classList.toggle('queue-open');
+            } else {
+                this.sendControl(guildId, action);
+            }
+        });
+
+        this.container.addEventListener('input', (e) => {
+            if (e.target.matches('.music-seek, .music-volume')) {
+                this.interactingGuild = e.target.closest('.music-player').dataset.guild;
+            }
+            if (e.target.matches('.music-volume')) {
+                e.target.nextElementSibling.textContent = `${e.target.value}%`;
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            const guildId = e.target.closest('.music-player')?.dataset.guild;
+            if (!guildId) return;
+
+            if (e.target.matches('.music-seek')) {
+                this.sendControl(guildId, 'seek', { position: parseInt(e.target.value) });
+            } else if (e.target.matches('.music-volume')) {
+                this.sendControl(guildId, 'volume', { volume: parseInt(e.target.value) });
+            }
+            this.interactingGuild = null;
+        });
+
+        this.setupQueueDragAndDrop();
+    }
+
+    setupQueueDragAndDrop() {
+        this.container.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.music-queue-item');
+            if (!item) return;
+
+            this.dragIndex = parseInt(item.dataset.index);
+            this.dragGuild = item.closest('.music-player').dataset.guild;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        // Queue indexes only mean something within their own player, so drops on another one are refused
+        const isSameQueue = (item) => item && this.dragIndex !== null &&
+            item.closest('.music-player').dataset.guild === this.dragGuild;
+
+        this.container.addEventListener('dragover', (e) => {
+            if (isSameQueue(e.target.closest('.music-queue-item'))) {
+                e.preventDefault();
+            }
+        });
+
+        this.container.addEventListener('drop', (e) => {
+            const item = e.target.closest('.music-queue-item');
+            if (!isSameQueue(item)) return;
+
+            e.preventDefault();
+            const to = parseInt(item.dataset.index);
+            if (to !== this.dragIndex) {
+                this.moveQueueItem(this.dragGuild, this.dragIndex, to);
+            }
+        });
+
+        this.container.addEventListener('dragend', () => {
+            this.dragIndex = null;
+            this.dragGuild = null;
+            this.container.querySelectorAll('.music-queue-item.dragging').forEach(item => {
+                item.classList.remove('dragging');
+            });
+        });
+    }
+
+    subscribeToSocket() {
+        const socketManager = window.socketManager;
+        if (!socketManager) return;
+
+        socketManager.on('music_update', (data) => {
+            if (data.removed || !data.player) {
+                this.players.delete(String(data.guild_id));
+            } else {
+                this.setPlayer(data.player);
+            }
+            this.render();
+        }, { view: true });
+
+        // Resync after a reconnect since updates may have been missed
+        socketManager.on('reconnect', () => this.loadPlayers());
+    }
+
+    // ===== DATA HANDLING =====
+    async loadPlayers() {
+        try {
+            const data = await window.apiClient.get('/api/music/players');
+            this.players.clear();
+            (data.players || []).forEach(player => this.setPlayer(player));
+            this.render();
+        } catch (error) {
+            console.error('Failed to load music players:', error);
+            this.container.innerHTML = `<p class="music-empty">Failed to load music players: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    setPlayer(player) {
+        this.players.set(String(player.guild_id), {
+            ...player,
+            guild_id: String(player.guild_id),
+            queue: player.queue || [],
+            syncedAt: Date.now()
+        });
+    }
+
+    getPosition(player) {
+        const position = player.position || 0;
+        if (player.state !== 'playing') return position;
+
+        const elapsed = (Date.now() - player.syncedAt) / 1000;
+        return Math.min(position + elapsed, player.track?.duration || Infinity);
+    }
+
+    // ===== CONTROLS =====
+    async sendControl(guildId, action, params = {}) {
+        const player = this.players.get(guildId);
+
+        try {
+            const data = await window.apiClient.post(`/api/music/${encodeURIComponent(guildId)}/control`, { action, ...params });
+
+            if (data.player) {
+                this.setPlayer(data.player);
+                this.render();
+            }
+
+            window.dashboard?.showNotification(
+                data.message || `${this.getActionLabel(action)} ${data.success ? 'done' : 'failed'}${player ? ` in ${player.guild_name}` : ''}`,
+                data.success ? 'success' : 'error'
+            );
+            return data;
+        } catch (error) {
+            console.error(`Music control "${action}" failed:`, error);
+
+            // Rejected controls may still carry the bot's current player state
+            if (error.data?.player) {
+                this.setPlayer(error.data.player);
+                this.render();
+            }
+            window.dashboard?.showNotification(`Failed to send ${this.getActionLabel(action).toLowerCase()}: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    moveQueueItem(guildId, from, to) {
+        // Reorder optimistically; the next music_update carries the bot's authoritative queue
+        const player = this.players.get(guildId);
+        if (player) {
+            const [item] = player.queue.splice(from, 1);
+            player.queue.splice(to, 0, item);
+            this.render();
+        }
+
+        this.sendControl(guildId, 'move', { from, to });
+    }
+
+    getActionLabel(action) {
+        const labels = {
+            play: 'Resume',
+            pause: 'Pause',
+            skip: 'Skip',
+            stop: 'Stop',
+            seek: 'Seek',
+            volume: 'Volume change',
+            move: 'Queue reorder',
+            remove: 'Queue removal'
+        };
+        return labels[action] || action;
+    }
+
+    // ===== RENDERING =====
+    render() {
+        if (!this.container) return;
+
+        // Don't yank a seek or volume slider out from under the user
+        if (this.interactingGuild) {
+            this.renderLater();
+            return;
+        }
+
+        const count = document.getElementById('musicPanelCount');
+        if (count) {
+            count.textContent = this.players.size;
+        }
+
+        if (this.players.size === 0) {
+            this.container.innerHTML = '<p class="music-empty">No active music players</p>';
+            return;
+        }
+
+        // Keep open queues open across re-renders
+        const openQueues = new Set(
+            Array.from(this.container.querySelectorAll('.music-player.queue-open')).map(card => card.dataset.guild)
+        );
+
+        this.container.innerHTML = Array.from(this.players.values())
+            .map(player => this.renderPlayer(player, openQueues.has(player.guild_id)))
+            .join('');
+        window.permissionManager?.apply(this.container);
+    }
+
+    renderLater() {
+        clearTimeout(this.deferredRender);
+        this.deferredRender = setTimeout(() => this.render(), 500);
+    }
+
+    renderPlayer(player, queueOpen) {
+        const track = player.track;
+        const position = this.getPosition(player);
+        const duration = track?.duration || 0;
+        const isPlaying = player.state === 'playing';
+
+        return `
+            <div class="music-player ${queueOpen ? 'queue-open' : ''}" data-guild="${escapeHtml(player.guild_id)}">
+                <div class="music-player-header">
+                    <span class="music-guild">${escapeHtml(player.guild_name || player.guild_id)}</span>
+                    <span class="status ${isPlaying ? 'online' : 'idle'}">${escapeHtml(player.state)}</span>
+                </div>
+                <div class="music-now-playing">
+                    ${track?.thumbnail ? `<img class="music-thumbnail" src="${escapeHtml(track.thumbnail)}" alt="">` : '<div class="music-thumbnail"><i class="fas fa-music"></i></div>'}
+                    <div class="music-track">
+                        <span class="music-title">${escapeHtml(track?.title || 'Nothing playing')}</span>
+                        <span class="music-author">${escapeHtml(track?.author || '')}</span>
+                    </div>
+                </div>
+                <div class="music-progress">
+                    <span class="music-time music-position">${this.formatDuration(position)}</span>
+                    <input type="range" class="music-seek" data-permission="music.control" min="0" max="${Math.floor(duration)}" value="${Math.floor(position)}" ${duration ? '' : 'disabled'}>
+                    <span class="music-time">${this.formatDuration(duration)}</span>
+                </div>
+                <div class="music-controls">
+                    <button class="music-btn" data-permission="music.control" data-music-action="${isPlaying ? 'pause' : 'play'}" title="${isPlaying ? 'Pause' : 'Play'}">
+                        <i class="fas fa-${isPlaying ? 'pause' : 'play'}"></i>
+                    </button>
+                    <button class="music-btn" data-permission="music.control" data-music-action="skip" title="Skip">
+                        <i class="fas fa-forward"></i>
+                    </button>
+                    <button class="music-btn" data-permission="music.control" data-music-action="stop" title="Stop">
+                        <i class="fas fa-stop"></i>
+                    </button>
+                    <div class="music-volume-control">
+                        <i class="fas fa-volume-up"></i>
+                        <input type="range" class="music-volume" data-permission="music.control" min="0" max="200" value="${player.volume ?? 100}">
+                        <span class="music-volume-value">${player.volume ?? 100}%</span>
+                    </div>
+                    <button class="music-btn music-queue-toggle" data-music-action="toggle-queue" title="Queue">
+                        <i class="fas fa-list"></i>
+                        <span>${player.queue.length}</span>
+                    </button>
+                </div>
+                <ol class="music-queue">
+                    ${player.queue.length ? player.queue.map((item, index) => this.renderQueueItem(item, index)).join('') : '<li class="music-empty">Queue is empty</li>'}
+                </ol>
+            </div>
+        `;
+    }
+
+    renderQueueItem(item, index) {
+        return `
+            <li class="music-queue-item" draggable="${window.permissionManager?.has('music.control') ?? true}" data-index="${index}">
+                <i class="fas fa-grip-vertical music-drag-handle"></i>
+                <div class="music-track">
+                    <span class="music-title">${escapeHtml(item.title)}</span>
+                    <span class="music-author">${escapeHtml(item.author || '')} · ${this.formatDuration(item.duration || 0)}</span>
+                </div>
+                <button class="music-btn" data-permission="music.control" data-music-action="remove" data-index="${index}" title="Remove from queue">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `;
+    }
+
+    updateProgress() {
+        this.players.forEach(player => {
+            if (player.state !== 'playing' || player.guild_id === this.interactingGuild) return;
+
+            const card = this.container.querySelector(`.music-player[data-guild="${CSS.escape(player.guild_id)}"]`);
+            if (!card) return;
+
+            const position = this.getPosition(player);
+            card.querySelector('.music-seek').value = Math.floor(position);
+            card.querySelector('.music-position').textContent = this.formatDuration(position);
+        });
+    }
+
+    formatDuration(seconds) {
+        const total = Math.max(Math.floor(seconds), 0);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    destroy() {
+        clearInterval(this.progressTimer);
+        clearTimeout(this.deferredRender);
+    }
+}
+
+// Initialize music panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.musicPanel = new MusicPanel();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MusicPanel;
+}
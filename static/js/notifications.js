@@ -0,0 +1,227 @@
+// ===== NOTIFICATION CENTER =====
+// Persistent inbox for alerts, command results and toasts behind the header bell
+
+class NotificationCenter {
+    constructor() {
+        this.storageKey = 'notifications';
+        this.maxItems = 100;
+        this.groupWindow = 10 * 60 * 1000;
+        this.filter = 'all';
+        this.items = this.load();
+
+        this.button = document.getElementById('notificationsBtn');
+        this.badge = document.getElementById('notificationBadge');
+        this.panel = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createPanel();
+        this.setupEventListeners();
+
+        // Toasts raised while the dashboard and the modules after it were starting up
+        window.dashboard?.pendingNotifications.splice(0).forEach(entry => this.add(entry));
+        this.render();
+    }
+
+    // ===== SETUP FUNCTIONS =====
+    createPanel() {
+        if (!this.button) return;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'notification-panel';
+        this.panel.innerHTML = `
+            <div class="notification-panel-header">
+                <h4>Notifications</h4>
+                <div class="notification-panel-actions">
+                    <button class="view-all" data-notification-action="read-all">Mark all read</button>
+                    <button class="view-all" data-notification-action="clear">Clear</button>
+                </div>
+            </div>
+            <div class="notification-filters">
+                <button class="notification-filter active" data-filter="all">All</button>
+                <button class="notification-filter" data-filter="error">Errors</button>
+                <button class="notification-filter" data-filter="warning">Warnings</button>
+                <button class="notification-filter" data-filter="info">Info</button>
+                <button class="notification-filter" data-filter="success">Success</button>
+            </div>
+            <div class="notification-items"></div>
+        `;
+        this.button.after(this.panel);
+    }
+
+    setupEventListeners() {
+        if (!this.panel) return;
+
+        this.button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.panel.classList.toggle('open');
+        });
+
+        this.panel.addEventListener('click', (e) => {
+            e.stopPropagation();
+
+            const action = e.target.closest('[data-notification-action]')?.dataset.notificationAction;
+            if (action === 'read-all') this.markAllRead();
+            if (action === 'clear') this.clear();
+
+            const filter = e.target.closest('[data-filter]');
+            if (filter) {
+                this.filter = filter.dataset.filter;
+                this.panel.querySelectorAll('.notification-filter').forEach(button => {
+                    button.classList.toggle('active', button === filter);
+                });
+                this.render();
+            }
+
+            const item = e.target.closest('.notification-item');
+            if (item) {
+                this.markRead(item.dataset.id);
+            }
+        });
+
+        document.addEventListener('click', () => this.panel.classList.remove('open'));
+
+        // Keep badge and inbox in sync across open tabs
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.items = this.load();
+                this.render();
+            }
+        });
+    }
+
+    // ===== STORAGE =====
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save() {
+        this.items = this.items.slice(0, this.maxItems);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.error('Failed to persist notifications:', error);
+        }
+    }
+
+    // ===== PUBLIC METHODS =====
+    add({ message, type = 'info', source = 'toast', title = '' }) {
+        if (!message) return null;
+
+        const now = Date.now();
+        const key = `${source}|${type}|${title}|${message}`;
+
+        // Repeats of the same alert within the window are grouped into one entry
+        const existing = this.items.find(item => item.key === key && now - item.lastAt < this.groupWindow);
+        if (existing) {
+            existing.count++;
+            existing.lastAt = now;
+            existing.read = false;
+            this.items = [existing, ...this.items.filter(item => item !== existing)];
+        } else {
+            this.items.unshift({
+                id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                key,
+                type,
+                source,
+                title,
+                message: String(message),
+                count: 1,
+                firstAt: now,
+                lastAt: now,
+                read: false
+            });
+        }
+
+        this.save();
+        this.render();
+        return existing || this.items[0];
+    }
+
+    markRead(id) {
+        const item = this.items.find(entry => entry.id === id);
+        if (item && !item.read) {
+            item.read = true;
+            this.save();
+            this.render();
+        }
+    }
+
+    markAllRead() {
+        this.items.forEach(item => { item.read = true; });
+        this.save();
+        this.render();
+    }
+
+    clear() {
+        this.items = [];
+        this.save();
+        this.render();
+    }
+
+    getUnreadCount() {
+        return this.items.filter(item => !item.read).length;
+    }
+
+    // ===== RENDERING =====
+    render() {
+        this.renderBadge();
+        if (!this.panel) return;
+
+        const items = this.items.filter(item => this.filter === 'all' || item.type === this.filter);
+        const container = this.panel.querySelector('.notification-items');
+
+        if (!items.length) {
+            container.innerHTML = '<p class="notification-empty">You\'re all caught up</p>';
+            return;
+        }
+
+        container.innerHTML = items.map(item => `
+            <div class="notification-item ${item.read ? '' : 'unread'}" data-id="${escapeHtml(item.id)}">
+                <div class="activity-icon ${escapeHtml(item.type)}">
+                    <i class="fas fa-${window.dashboard ? window.dashboard.getNotificationIcon(item.type) : 'info-circle'}"></i>
+                </div>
+                <div class="notification-item-content">
+                    ${item.title ? `<strong>${escapeHtml(item.title)}</strong>` : ''}
+                    <p>${escapeHtml(item.message)}</p>
+                    <span class="activity-time">
+                        ${this.formatRelative(item.lastAt)} · ${escapeHtml(item.source)}
+                        ${item.count > 1 ? `<span class="notification-count">×${item.count}</span>` : ''}
+                    </span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderBadge() {
+        if (!this.badge) return;
+
+        const unread = this.getUnreadCount();
+        this.badge.textContent = unread > 99 ? '99+' : String(unread);
+        this.badge.hidden = unread === 0;
+    }
+
+    formatRelative(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000);
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+        return new Date(timestamp).toLocaleDateString();
+    }
+}
+
+// Initialize notification center when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.notificationCenter = new NotificationCenter();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationCenter;
+}
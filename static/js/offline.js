@@ -0,0 +1,322 @@
+// ===== OFFLINE MANAGER =====
+// Service worker registration, last-known data snapshot and the queue for commands issued offline
+
+class OfflineManager {
+    constructor() {
+        this.snapshotKey = 'dashboardSnapshot';
+        this.queueKey = 'commandQueue';
+        this.maxSnapshotActivities = 20;
+        this.snapshotInterval = 5000;
+        this.snapshot = this.loadSnapshot();
+        this.queue = this.loadQueue();
+        this.lastSaved = 0;
+        this.live = false;
+        this.offline = !navigator.onLine;
+        this.replaying = false;
+        this.dialog = null;
+        this.banner = null;
+
+        this.init();
+    }
+
+    init() {
+        this.registerServiceWorker();
+        this.createBanner();
+        this.subscribeToSocket();
+        this.setupEventListeners();
+        this.paintSnapshot();
+        this.renderBanner();
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // A worker's default scope is its own directory, so it is served from the root to cover every page
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    subscribeToSocket() {
+        const socketManager = window.socketManager;
+        if (!socketManager) return;
+
+        socketManager.on('stats_update', (data) => this.recordSnapshot({ stats: data }));
+        socketManager.on('activity_update', (data) => this.recordSnapshot({ activity: data }));
+        socketManager.on('polling_update', (data) => this.recordSnapshot(data));
+
+        socketManager.on('connection_change', (data) => {
+            if (data.connected) {
+                this.offline = false;
+                this.promptReplay();
+            } else {
+                // Whatever is on screen stops being live the moment the socket drops
+                this.live = false;
+            }
+            this.renderBanner();
+        });
+
+        socketManager.on('status_change', (data) => {
+            this.offline = data.state === 'offline';
+            if (this.offline) {
+                this.live = false;
+            }
+            // REST commands work while polling, so the queue can drain then too
+            if (data.state === 'polling') {
+                this.promptReplay();
+            }
+            this.renderBanner();
+        });
+    }
+
+    setupEventListeners() {
+        // Another tab may have queued or replayed commands
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.queueKey) {
+                this.queue = this.loadQueue();
+                this.renderBanner();
+            }
+        });
+    }
+
+    // ===== SNAPSHOT =====
+    loadSnapshot() {
+        try {
+            return JSON.parse(localStorage.getItem(this.snapshotKey)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    recordSnapshot({ stats, activity }) {
+        if (!stats && !activity) return;
+
+        const previous = this.snapshot || {};
+        const incoming = activity ? (Array.isArray(activity) ? activity : [activity]) : [];
+        const known = new Set(incoming.map(item => window.dashboard?.getActivityKey(item)));
+
+        this.snapshot = {
+            stats: stats || previous.stats || null,
+            activity: [...incoming, ...(previous.activity || []).filter(item => !known.has(window.dashboard?.getActivityKey(item)))]
+                .slice(0, this.maxSnapshotActivities),
+            savedAt: Date.now()
+        };
+
+        if (stats) {
+            this.live = true;
+            this.offline = false;
+            this.renderBanner();
+        }
+
+        // Stats arrive every few seconds; localStorage doesn't need every one
+        if (Date.now() - this.lastSaved >= this.snapshotInterval) {
+            this.saveSnapshot();
+        }
+    }
+
+    saveSnapshot() {
+        try {
+            localStorage.setItem(this.snapshotKey, JSON.stringify(this.snapshot));
+            this.lastSaved = Date.now();
+        } catch (error) {
+            console.warn('Failed to save dashboard snapshot:', error);
+        }
+    }
+
+    paintSnapshot() {
+        const dashboard = window.dashboard;
+        if (!dashboard || !this.snapshot) return;
+
+        if (this.snapshot.stats) {
+            dashboard.updateDashboard(this.snapshot.stats);
+        }
+        if (this.snapshot.activity?.length) {
+            dashboard.updateActivityFeed(this.snapshot.activity);
+        }
+    }
+
+    // ===== COMMAND QUEUE =====
+    loadQueue() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.queueKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue() {
+        localStorage.setItem(this.queueKey, JSON.stringify(this.queue));
+        this.renderBanner();
+    }
+
+    enqueue(command, { requestId, silent = false } = {}) {
+        this.queue.push({ id: requestId, command, queuedAt: Date.now(), silent });
+        this.saveQueue();
+    }
+
+    getQueue() {
+        return [...this.queue];
+    }
+
+    discardQueue() {
+        this.queue = [];
+        this.saveQueue();
+    }
+
+    promptReplay() {
+        if (this.queue.length === 0 || this.replaying) return;
+        if (this.dialog?.open) {
+            this.renderQueue();
+            return;
+        }
+
+        if (!this.dialog) {
+            this.createDialog();
+        }
+        this.renderQueue();
+        this.dialog.show();
+    }
+
+    async replayQueue() {
+        const dashboard = window.dashboard;
+        if (!dashboard || this.replaying) return;
+
+        this.replaying = true;
+        let sent = 0;
+
+        // Strictly in order: each command waits for the previous one to be accepted
+        while (this.queue.length > 0) {
+            if (!navigator.onLine) break;
+
+            const item = this.queue.shift();
+            this.saveQueue();
+
+            const data = await dashboard.executeCommand(item.command, { requestId: item.id, silent: item.silent, noQueue: true });
+            if (data.offline) {
+                // Never reached the server, so it keeps its place at the front of the queue
+                this.queue.unshift(item);
+                this.saveQueue();
+                break;
+            }
+            window.commandConsole?.handleResult(item.id, { ...data, done: !data.pending });
+            sent++;
+        }
+
+        this.replaying = false;
+        this.renderBanner();
+
+        if (this.queue.length > 0) {
+            dashboard.showNotification(`Connection lost again, ${this.queue.length} command(s) still queued`, 'warning');
+        } else if (sent > 0) {
+            dashboard.showNotification(`Replayed ${sent} queued command(s)`, 'success');
+        }
+    }
+
+    // ===== RENDERING =====
+    createBanner() {
+        const wrapper = document.querySelector('.content-wrapper');
+        if (!wrapper) return;
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'offline-banner';
+        this.banner.setAttribute('role', 'status');
+        this.banner.hidden = true;
+        this.banner.innerHTML = `
+            <i class="fas fa-cloud"></i>
+            <span class="offline-banner-text"></span>
+            <button type="button" class="view-all" data-offline-action="review" hidden>Review queue</button>
+        `;
+        wrapper.prepend(this.banner);
+
+        this.banner.addEventListener('click', (e) => {
+            if (e.target.closest('[data-offline-action="review"]')) {
+                this.promptReplay();
+            }
+        });
+    }
+
+    renderBanner() {
+        if (!this.banner) return;
+
+        const parts = [];
+        if (this.offline) {
+            parts.push('You are offline.');
+        }
+        if (!this.live && this.snapshot?.savedAt) {
+            parts.push(`Showing data as of ${this.formatTimestamp(this.snapshot.savedAt)}.`);
+        }
+        if (this.queue.length > 0) {
+            parts.push(`${this.queue.length} command${this.queue.length === 1 ? '' : 's'} queued until reconnect.`);
+        }
+
+        this.banner.hidden = parts.length === 0 || (this.live && !this.offline && this.queue.length === 0);
+        this.banner.classList.toggle('offline', this.offline);
+        this.banner.querySelector('.offline-banner-text').textContent = parts.join(' ');
+        this.banner.querySelector('[data-offline-action="review"]').hidden = this.queue.length === 0 || this.offline;
+    }
+
+    createDialog() {
+        this.dialog = document.createElement('sl-dialog');
+        this.dialog.label = 'Queued commands';
+        this.dialog.className = 'offline-queue-modal';
+        this.dialog.innerHTML = `
+            <p class="broadcast-hint">These commands were issued while the dashboard was offline. Run them now, in order?</p>
+            <ol class="offline-queue-list"></ol>
+            <sl-button slot="footer" variant="default" data-offline-action="later">Later</sl-button>
+            <sl-button slot="footer" variant="danger" data-offline-action="discard">Discard all</sl-button>
+            <sl-button slot="footer" variant="primary" data-offline-action="replay">Run all</sl-button>
+        `;
+        document.body.appendChild(this.dialog);
+
+        this.dialog.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-offline-action]')?.dataset.offlineAction;
+
+            switch (action) {
+                case 'later':
+                    this.dialog.hide();
+                    break;
+                case 'discard':
+                    this.markDiscarded();
+                    this.discardQueue();
+                    this.dialog.hide();
+                    break;
+                case 'replay':
+                    this.dialog.hide();
+                    this.replayQueue();
+                    break;
+            }
+        });
+    }
+
+    renderQueue() {
+        this.dialog.querySelector('.offline-queue-list').innerHTML = this.queue.map(item => `
+            <li>
+                <code>${escapeHtml(item.command)}</code>
+                <span class="offline-queue-time">${this.formatTimestamp(item.queuedAt)}</span>
+            </li>
+        `).join('');
+    }
+
+    markDiscarded() {
+        this.queue.forEach(item => {
+            window.commandConsole?.handleResult(item.id, { success: false, message: 'Discarded from offline queue', done: true });
+        });
+    }
+
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        const sameDay = date.toDateString() === new Date().toDateString();
+        return sameDay ? date.toLocaleTimeString() : date.toLocaleString();
+    }
+}
+
+// Initialize offline manager after the dashboard so the snapshot can be painted into it
+document.addEventListener('DOMContentLoaded', function() {
+    window.offlineManager = new OfflineManager();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineManager;
+}
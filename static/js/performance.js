@@ -0,0 +1,343 @@
+// ===== PERFORMANCE VIEW =====
+// CPU, memory, latency and uptime history from the local metrics store, with synced zoom/pan
+
+class PerformanceView {
+    constructor() {
+        this.metrics = {
+            cpu: { label: 'CPU', unit: '%', color: 'primary', format: (value) => `${value.toFixed(1)}%` },
+            memory: { label: 'Memory', unit: 'MB', color: 'success', format: (value) => `${Math.round(value)}MB` },
+            latency: { label: 'Latency', unit: 'ms', color: 'warning', format: (value) => `${Math.round(value)}ms` },
+            uptime: { label: 'Uptime', unit: 'h', color: 'primary', scale: 1 / 3600, format: (value) => `${value.toFixed(1)}h` }
+        };
+        this.ranges = {
+            '1h': 60 * 60 * 1000,
+            '6h': 6 * 60 * 60 * 1000,
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000
+        };
+        this.markerTypes = ['disconnect', 'reconnect', 'restart'];
+        this.liveInterval = 30 * 1000;
+
+        this.charts = new Map();
+        this.samples = [];
+        this.events = [];
+        this.window = null;
+        this.zoomed = false;
+
+        this.rangeSelect = document.getElementById('performanceRange');
+        this.overlayToggle = document.getElementById('performanceOverlays');
+        this.markerToggle = document.getElementById('performanceMarkers');
+
+        this.init();
+    }
+
+    init() {
+        if (!this.rangeSelect || typeof Chart === 'undefined') return;
+
+        // The zoom plugin's UMD build exposes itself as ChartZoom
+        if (window.ChartZoom) {
+            Chart.register(window.ChartZoom);
+        }
+
+        this.createCharts();
+        this.setupEventListeners();
+        this.load();
+
+        // Follow new samples unless the user is looking at a zoomed-in slice
+        setInterval(() => {
+            if (!this.zoomed && !document.hidden) {
+                this.load();
+            }
+        }, this.liveInterval);
+    }
+
+    setupEventListeners() {
+        this.rangeSelect.addEventListener('change', () => this.load());
+        this.overlayToggle.addEventListener('change', () => this.updateOverlays());
+        this.markerToggle.addEventListener('change', () => this.charts.forEach(chart => chart.update('none')));
+        document.getElementById('performanceRefresh')?.addEventListener('click', () => this.load());
+        document.getElementById('performanceResetZoom')?.addEventListener('click', () => this.resetZoom());
+        document.addEventListener('themechange', () => this.applyTheme());
+    }
+
+    // ===== DATA HANDLING =====
+    async load() {
+        if (!window.metricsStore) return;
+
+        const to = Date.now();
+        const from = to - (this.ranges[this.rangeSelect.value] || this.ranges['24h']);
+        const empty = document.getElementById('performanceEmpty');
+
+        let result;
+        try {
+            result = await window.metricsStore.query(from, to);
+        } catch (error) {
+            // The refresh timer calls this too, so the failure is shown rather than thrown
+            console.error('Failed to load performance history:', error);
+            empty.textContent = `Failed to load performance history: ${error.message}`;
+            empty.hidden = false;
+            return;
+        }
+
+        this.samples = result.samples;
+        this.events = result.events;
+        this.window = { min: from, max: to };
+        this.zoomed = false;
+
+        empty.textContent = 'No samples recorded for this range yet.';
+        empty.hidden = this.samples.length > 0;
+        this.render();
+    }
+
+    getSeries(metric) {
+        const scale = this.metrics[metric].scale || 1;
+        return this.samples
+            .filter(sample => sample[metric] !== null && sample[metric] !== undefined)
+            .map(sample => ({ x: sample.t, y: sample[metric] * scale }));
+    }
+
+    getStats(points) {
+        if (!points.length) return null;
+
+        let min = Infinity;
+        let max = -Infinity;
+        let sum = 0;
+        points.forEach(point => {
+            min = Math.min(min, point.y);
+            max = Math.max(max, point.y);
+            sum += point.y;
+        });
+        return { min, max, avg: sum / points.length, count: points.length };
+    }
+
+    getVisiblePoints(metric) {
+        const { min, max } = this.window;
+        return this.getSeries(metric).filter(point => point.x >= min && point.x <= max);
+    }
+
+    // ===== CHARTS =====
+    createCharts() {
+        const colors = this.getColors();
+
+        document.querySelectorAll('[data-performance-metric]').forEach(canvas => {
+            const metric = canvas.dataset.performanceMetric;
+            const definition = this.metrics[metric];
+            const color = colors[definition.color];
+            const overlay = (label, dash) => ({
+                label,
+                data: [],
+                borderColor: window.chartManager?.withAlpha(color, 0.6) || color,
+                borderWidth: 1,
+                borderDash: dash,
+                pointRadius: 0,
+                fill: false,
+                parsing: false
+            });
+
+            const chart = new Chart(canvas, {
+                type: 'line',
+                data: {
+                    datasets: [
+                        {
+                            label: definition.label,
+                            data: [],
+                            borderColor: color,
+                            backgroundColor: window.chartManager?.withAlpha(color, 0.15) || color,
+                            borderWidth: 1.5,
+                            pointRadius: 0,
+                            fill: true,
+                            tension: 0.2,
+                            parsing: false
+                        },
+                        overlay('Min', [2, 4]),
+                        overlay('Avg', [6, 4]),
+                        overlay('Max', [2, 4])
+                    ]
+                },
+                options: {
+                    animation: false,
+                    normalized: true,
+                    interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            ticks: {
+                                color: colors.text,
+                                maxTicksLimit: 8,
+                                callback: (value) => this.formatTick(value)
+                            },
+                            grid: { color: colors.grid }
+                        },
+                        y: {
+                            beginAtZero: true,
+                            ticks: { color: colors.text, callback: (value) => `${value}${definition.unit}` },
+                            grid: { color: colors.grid }
+                        }
+                    },
+                    plugins: {
+                        legend: { display: false },
+                        // Thousands of samples are thinned to what the canvas can actually show
+                        decimation: { enabled: true, algorithm: 'lttb', samples: 500 },
+                        tooltip: {
+                            filter: (item) => item.datasetIndex === 0,
+                            callbacks: {
+                                title: (items) => new Date(items[0].parsed.x).toLocaleString(),
+                                label: (item) => `${definition.label}: ${definition.format(item.parsed.y)}`
+                            }
+                        },
+                        zoom: {
+                            zoom: {
+                                wheel: { enabled: true },
+                                pinch: { enabled: true },
+                                mode: 'x',
+                                onZoomComplete: ({ chart }) => this.syncWindow(chart)
+                            },
+                            pan: {
+                                enabled: true,
+                                mode: 'x',
+                                onPanComplete: ({ chart }) => this.syncWindow(chart)
+                            },
+                            limits: { x: { minRange: 60 * 1000 } }
+                        }
+                    }
+                },
+                plugins: [this.createMarkerPlugin()]
+            });
+
+            this.charts.set(metric, chart);
+        });
+    }
+
+    createMarkerPlugin() {
+        // Vertical lines for disconnects, reconnects and restarts, drawn under the tooltip
+        return {
+            id: 'performanceMarkers',
+            afterDatasetsDraw: (chart) => {
+                if (!this.markerToggle.checked || !this.events.length) return;
+
+                const { ctx, chartArea, scales } = chart;
+                const colors = this.getColors();
+                const markerColors = { disconnect: colors.danger, reconnect: colors.success, restart: colors.warning };
+
+                ctx.save();
+                ctx.lineWidth = 2;
+                this.events.forEach(event => {
+                    if (!this.markerTypes.includes(event.type)) return;
+                    if (event.t < scales.x.min || event.t > scales.x.max) return;
+
+                    const x = scales.x.getPixelForValue(event.t);
+                    ctx.strokeStyle = markerColors[event.type];
+                    ctx.beginPath();
+                    ctx.moveTo(x, chartArea.top);
+                    ctx.lineTo(x, chartArea.bottom);
+                    ctx.stroke();
+                });
+                ctx.restore();
+            }
+        };
+    }
+
+    render() {
+        this.charts.forEach((chart, metric) => {
+            chart.resetZoom?.('none');
+            chart.data.datasets[0].data = this.getSeries(metric);
+            chart.options.scales.x.min = this.window.min;
+            chart.options.scales.x.max = this.window.max;
+            chart.options.plugins.zoom.limits.x.min = this.window.min;
+            chart.options.plugins.zoom.limits.x.max = this.window.max;
+        });
+        this.updateOverlays();
+    }
+
+    syncWindow(source) {
+        const { min, max } = source.scales.x;
+        this.window = { min, max };
+        this.zoomed = true;
+
+        this.charts.forEach(chart => {
+            if (chart !== source) {
+                chart.zoomScale('x', { min, max }, 'none');
+            }
+        });
+        this.updateOverlays();
+    }
+
+    resetZoom() {
+        this.load();
+    }
+
+    updateOverlays() {
+        const showOverlays = this.overlayToggle.checked;
+        const rows = [];
+
+        this.charts.forEach((chart, metric) => {
+            const stats = this.getStats(this.getVisiblePoints(metric));
+            const line = (value) => (showOverlays && stats
+                ? [{ x: this.window.min, y: value }, { x: this.window.max, y: value }]
+                : []);
+
+            chart.data.datasets[1].data = line(stats?.min);
+            chart.data.datasets[2].data = line(stats?.avg);
+            chart.data.datasets[3].data = line(stats?.max);
+            chart.update('none');
+
+            const { label, format } = this.metrics[metric];
+            rows.push(stats
+                ? `<tr><td>${label}</td><td>${format(stats.min)}</td><td>${format(stats.avg)}</td><td>${format(stats.max)}</td><td>${formatNumber(stats.count)}</td></tr>`
+                : `<tr><td>${label}</td><td>—</td><td>—</td><td>—</td><td>0</td></tr>`);
+        });
+
+        document.getElementById('performanceSummary').innerHTML = rows.join('');
+    }
+
+    formatTick(value) {
+        const date = new Date(value);
+        const span = this.window ? this.window.max - this.window.min : 0;
+        if (span > 24 * 60 * 60 * 1000) {
+            return date.toLocaleDateString([], { month: 'short', day: 'numeric', hour: '2-digit' });
+        }
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    // ===== THEMING =====
+    getColors() {
+        return window.chartManager?.getThemeColors() || {
+            text: '#b9bbbe',
+            grid: 'rgba(79, 84, 92, 0.3)',
+            primary: '#5865f2',
+            success: '#57f287',
+            warning: '#fee75c',
+            danger: '#ed4245'
+        };
+    }
+
+    applyTheme() {
+        const colors = this.getColors();
+
+        this.charts.forEach((chart, metric) => {
+            const color = colors[this.metrics[metric].color];
+            const [line, ...overlays] = chart.data.datasets;
+            line.borderColor = color;
+            line.backgroundColor = window.chartManager.withAlpha(color, 0.15);
+            overlays.forEach(dataset => {
+                dataset.borderColor = window.chartManager.withAlpha(color, 0.6);
+            });
+
+            Object.values(chart.options.scales).forEach(scale => {
+                scale.ticks.color = colors.text;
+                scale.grid.color = colors.grid;
+            });
+            chart.update('none');
+        });
+    }
+}
+
+// Initialize performance view when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.performanceView = new PerformanceView();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformanceView;
+}
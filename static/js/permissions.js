@@ -0,0 +1,149 @@
+// ===== PERMISSION MANAGER =====
+// Loads the signed-in user's role and permissions and gates the UI with data-permission
+
+class PermissionManager {
+    constructor() {
+        this.user = null;
+        this.permissions = new Set();
+        this.loaded = false;
+        this.labels = {
+            'commands.execute': 'run commands',
+            'commands.reload': 'reload cogs',
+            'broadcast.send': 'send broadcasts',
+            'servers.manage': 'manage servers',
+            'settings.view': 'view settings',
+            'settings.edit': 'edit settings',
+            'music.control': 'control music players'
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadUser();
+    }
+
+    setupEventListeners() {
+        // Gated buttons stay hoverable so their tooltip explains why; clicks are swallowed here
+        document.addEventListener('click', (e) => {
+            const denied = e.target.closest('.permission-denied');
+            if (denied) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                window.dashboard?.showNotification(this.getDeniedReason(denied.dataset.permission), 'warning');
+            }
+        }, true);
+    }
+
+    // ===== DATA HANDLING =====
+    async loadUser() {
+        try {
+            const data = await window.apiClient.get('/api/me');
+            this.user = data.user || {};
+            this.permissions = new Set(data.permissions || []);
+            this.loaded = true;
+
+            this.renderUser();
+            this.apply();
+            document.dispatchEvent(new CustomEvent('permissionschange', { detail: { user: this.user } }));
+        } catch (error) {
+            // The server still enforces permissions; the UI just stays ungated
+            console.error('Failed to load user permissions:', error);
+        }
+    }
+
+    // ===== PUBLIC METHODS =====
+    has(permission) {
+        // Until /api/me answers, nothing is gated client-side
+        if (!this.loaded || !permission) return true;
+        if (this.permissions.has('*')) return true;
+
+        // "music.*" grants every music permission
+        const [scope] = permission.split('.');
+        return this.permissions.has(permission) || this.permissions.has(`${scope}.*`);
+    }
+
+    canRunCommand(name) {
+        const command = window.commandManager?.getCommand(name);
+        return this.has(command?.permission || 'commands.execute');
+    }
+
+    getDeniedReason(permission) {
+        const action = this.labels[permission] || permission;
+        const role = this.getRoleLabel();
+        return `Your role${role ? ` (${role})` : ''} can't ${action}`;
+    }
+
+    getRoleLabel() {
+        const role = this.user?.role_label || this.user?.role || '';
+        return role ? role.charAt(0).toUpperCase() + role.slice(1) : '';
+    }
+
+    // ===== RENDERING =====
+    renderUser() {
+        const name = document.getElementById('userName');
+        const avatar = document.getElementById('userAvatar');
+        const role = document.querySelector('.user-role');
+
+        if (name) {
+            name.textContent = this.user.display_name || this.user.username || 'Unknown user';
+        }
+        if (avatar && this.user.avatar_url) {
+            avatar.onerror = () => {
+                avatar.onerror = null;
+                avatar.src = '/static/images/default-avatar.png';
+            };
+            avatar.src = this.user.avatar_url;
+            avatar.alt = this.user.username || 'User';
+        }
+        if (role) {
+            role.textContent = this.getRoleLabel();
+        }
+    }
+
+    // Elements opt in with data-permission; data-permission-mode="hide" removes them instead of disabling
+    apply(root = document) {
+        if (!this.loaded) return;
+
+        root.querySelectorAll('[data-permission]').forEach(element => {
+            const permission = element.dataset.permission;
+            const allowed = this.has(permission);
+            const hide = element.dataset.permissionMode === 'hide';
+
+            element.classList.toggle('permission-denied', !allowed);
+
+            if (hide) {
+                element.hidden = !allowed;
+                return;
+            }
+
+            // Form fields can be truly disabled; they don't need a click to explain themselves
+            if (element.matches('input, select, textarea')) {
+                element.disabled = !allowed;
+            }
+
+            if (!allowed) {
+                if (element.dataset.permissionTitle === undefined) {
+                    element.dataset.permissionTitle = element.title;
+                }
+                element.title = this.getDeniedReason(permission);
+                element.setAttribute('aria-disabled', 'true');
+            } else if (element.dataset.permissionTitle !== undefined) {
+                element.title = element.dataset.permissionTitle;
+                element.removeAttribute('aria-disabled');
+                delete element.dataset.permissionTitle;
+            }
+        });
+    }
+}
+
+// Initialize permission manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.permissionManager = new PermissionManager();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PermissionManager;
+}
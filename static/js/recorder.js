@@ -0,0 +1,435 @@
+// ===== SESSION RECORDER =====
+// Records every SocketManager event to a downloadable session file and replays one back through the dashboard
+
+class SessionRecorder {
+    constructor() {
+        this.format = 'musebot-session';
+        this.version = 1;
+        this.maxEvents = 50000;
+        this.speeds = [1, 2, 5, 10, 20];
+        this.tickInterval = 100;
+
+        // A seek rebuilds the screen from these: only the latest snapshot counts, changes add up
+        // (stats too, since the charts and trends are drawn from every update), and command results
+        // and system alerts are toasted only when played through, never on a seek
+        this.snapshotEvents = ['status_change', 'connection_change', 'transport_change', 'latency'];
+        this.cumulativeEvents = ['stats_update', 'polling_update', 'activity_update', 'music_update'];
+
+        this.recording = null;
+        this.replay = null;
+        this.liveActivities = [];
+        this.tap = (event, data) => this.capture(event, data);
+
+        this.menu = document.getElementById('sessionRecorder');
+        this.button = document.getElementById('recorderButton');
+        this.badge = document.getElementById('recorderBadge');
+        this.fileInput = null;
+        this.bar = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.menu || !window.socketManager) return;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.menu.addEventListener('sl-select', (e) => {
+            const action = e.detail.item.value;
+            if (action === 'record') {
+                if (this.recording) {
+                    this.stopRecording();
+                } else {
+                    this.startRecording();
+                }
+            } else if (action === 'replay') {
+                this.chooseFile();
+            }
+        });
+
+        // An unsaved recording only lives in this page
+        window.addEventListener('beforeunload', (e) => {
+            if (this.recording?.events.length) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    // ===== RECORDING =====
+    startRecording() {
+        if (this.replay) {
+            window.dashboard?.showNotification('Exit the replay before starting a recording', 'warning');
+            return;
+        }
+
+        this.recording = { startedAt: Date.now(), events: [] };
+
+        // Start from what is already on screen so the replay doesn't open on an empty dashboard
+        const dashboard = window.dashboard;
+        this.capture('status_change', { state: window.socketManager.getConnectionState() });
+        if (dashboard?.currentStats && Object.keys(dashboard.currentStats).length) {
+            this.capture('stats_update', dashboard.currentStats);
+        }
+        if (dashboard?.activities.length) {
+            this.capture('activity_update', dashboard.activities);
+        }
+
+        window.socketManager.addTap(this.tap);
+        this.renderButton();
+        window.dashboard?.showNotification('Recording socket events. Stop from the same menu to download the session.', 'info');
+    }
+
+    capture(event, data) {
+        const recording = this.recording;
+        if (!recording) return;
+
+        recording.events.push({ t: Date.now() - recording.startedAt, event, data: this.clone(data) });
+        this.renderButton();
+
+        if (recording.events.length >= this.maxEvents) {
+            window.dashboard?.showNotification(`Recording stopped at the ${formatNumber(this.maxEvents)} event limit`, 'warning');
+            this.stopRecording();
+        }
+    }
+
+    clone(data) {
+        // Listeners mutate what they are handed; a JSON copy also drops what can't be saved, like Error objects
+        if (data === undefined) return null;
+        try {
+            return JSON.parse(JSON.stringify(data));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return;
+
+        window.socketManager.removeTap(this.tap);
+        this.recording = null;
+        this.renderButton();
+
+        const session = {
+            format: this.format,
+            version: this.version,
+            started_at: new Date(recording.startedAt).toISOString(),
+            ended_at: new Date().toISOString(),
+            page: window.location.pathname,
+            user_agent: navigator.userAgent,
+            events: recording.events
+        };
+
+        downloadFile(`musebot-session-${exportTimestamp(new Date(recording.startedAt))}.json`, JSON.stringify(session), 'application/json');
+        window.dashboard?.showNotification(`Saved a session of ${formatNumber(recording.events.length)} events`, 'success');
+    }
+
+    renderButton() {
+        const recording = Boolean(this.recording);
+        const recordItem = this.menu.querySelector('sl-menu-item[value="record"]');
+
+        this.button.classList.toggle('recording', recording);
+        this.button.title = recording ? 'Recording session' : 'Record or replay a session';
+        recordItem.textContent = recording ? 'Stop and download' : 'Start recording';
+        recordItem.disabled = Boolean(this.replay);
+        this.menu.querySelector('sl-menu-item[value="replay"]').disabled = recording;
+
+        this.badge.hidden = !recording;
+        if (recording) {
+            this.badge.textContent = this.recording.events.length > 999 ? '999+' : this.recording.events.length;
+        }
+    }
+
+    // ===== LOADING =====
+    chooseFile() {
+        if (!this.fileInput) {
+            this.fileInput = document.createElement('input');
+            this.fileInput.type = 'file';
+            this.fileInput.accept = '.json,application/json';
+            this.fileInput.hidden = true;
+            this.fileInput.addEventListener('change', () => {
+                const [file] = this.fileInput.files;
+                this.fileInput.value = '';
+                if (file) {
+                    this.loadFile(file);
+                }
+            });
+            document.body.appendChild(this.fileInput);
+        }
+
+        this.fileInput.click();
+    }
+
+    async loadFile(file) {
+        let session;
+        try {
+            session = this.parseSession(await file.text());
+        } catch (error) {
+            window.dashboard?.showNotification(`Can't replay ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+
+        if (!session.events.length) {
+            window.dashboard?.showNotification(`${file.name} has no events to replay`, 'warning');
+            return;
+        }
+
+        this.startReplay(session, file.name);
+    }
+
+    parseSession(text) {
+        const session = JSON.parse(text);
+        if (session?.format !== this.format || !Array.isArray(session.events)) {
+            throw new Error('not a MuseBot session file');
+        }
+        if (session.version > this.version) {
+            throw new Error(`it was saved by a newer dashboard (version ${session.version})`);
+        }
+
+        const events = session.events
+            .filter(entry => entry && typeof entry.event === 'string' && Number.isFinite(entry.t))
+            .sort((a, b) => a.t - b.t);
+
+        return {
+            ...session,
+            events,
+            startedAt: new Date(session.started_at).getTime() || 0,
+            duration: events.length ? events[events.length - 1].t : 0
+        };
+    }
+
+    // ===== REPLAY =====
+    startReplay(session, name) {
+        if (this.replay) {
+            this.pause();
+        } else {
+            // The view stops following live updates until the replay ends; the feed is put back afterwards
+            this.liveActivities = [...(window.dashboard?.activities || [])];
+            window.socketManager.startReplay();
+        }
+
+        this.replay = { session, name, position: 0, index: 0, speed: this.replay?.speed || 1, playing: false, timer: null, lastTick: 0, scrubbing: false };
+        this.renderButton();
+        this.showBar();
+        this.seek(0);
+        this.play();
+    }
+
+    dispatch(entry) {
+        // Only view listeners see these, so alerts, stored metrics and trend samples keep following the live feed.
+        // Each dispatch gets its own copy so a seek can replay the same entry again untouched
+        window.socketManager.replayEvent(entry.event, this.clone(entry.data));
+    }
+
+    seek(position) {
+        const replay = this.replay;
+        const { events, duration } = replay.session;
+        const target = Math.min(Math.max(position, 0), duration);
+
+        this.resetViews();
+
+        const latest = new Map();
+        let index = 0;
+        for (; index < events.length && events[index].t <= target; index++) {
+            const entry = events[index];
+            if (this.cumulativeEvents.includes(entry.event)) {
+                this.dispatch(entry);
+            } else if (this.snapshotEvents.includes(entry.event)) {
+                latest.set(entry.event, entry);
+            }
+        }
+        latest.forEach(entry => this.dispatch(entry));
+
+        replay.index = index;
+        replay.position = target;
+        replay.lastTick = performance.now();
+        this.renderBar();
+    }
+
+    resetViews() {
+        // Each view starts over from the recording; their live state comes back in exitReplay
+        window.dashboard?.clearActivityFeed();
+        window.chartManager?.resetReplay();
+        window.statTrends?.resetReplay();
+        window.activityLog?.resetReplay();
+    }
+
+    play() {
+        const replay = this.replay;
+        if (!replay || replay.playing) return;
+
+        // Pressing play at the end starts over
+        if (replay.position >= replay.session.duration) {
+            this.seek(0);
+        }
+
+        replay.playing = true;
+        replay.lastTick = performance.now();
+        replay.timer = setInterval(() => this.tick(), this.tickInterval);
+        this.renderBar();
+    }
+
+    pause() {
+        const replay = this.replay;
+        if (!replay) return;
+
+        replay.playing = false;
+        clearInterval(replay.timer);
+        replay.timer = null;
+        this.renderBar();
+    }
+
+    tick() {
+        const replay = this.replay;
+        const { events, duration } = replay.session;
+        const now = performance.now();
+
+        replay.position = Math.min(replay.position + (now - replay.lastTick) * replay.speed, duration);
+        replay.lastTick = now;
+
+        while (replay.index < events.length && events[replay.index].t <= replay.position) {
+            this.dispatch(events[replay.index++]);
+        }
+
+        if (replay.position >= duration) {
+            this.pause();
+        } else {
+            this.renderBar();
+        }
+    }
+
+    exitReplay() {
+        if (!this.replay) return;
+
+        this.pause();
+        this.replay = null;
+        this.bar.hidden = true;
+        document.body.classList.remove('replaying');
+        this.renderButton();
+
+        // Back to live: restore the feed as it was and refetch what the replay overwrote
+        const dashboard = window.dashboard;
+        dashboard?.clearActivityFeed();
+        window.socketManager.stopReplay();
+        if (this.liveActivities.length) {
+            dashboard?.updateActivityFeed(this.liveActivities);
+        }
+        this.liveActivities = [];
+        dashboard?.fetchStats();
+        window.musicPanel?.loadPlayers();
+        window.chartManager?.endReplay();
+        window.statTrends?.endReplay();
+        window.activityLog?.endReplay();
+        dashboard?.showNotification('Replay ended, showing live data again', 'info');
+    }
+
+    // ===== REPLAY BAR =====
+    showBar() {
+        if (!this.bar) {
+            this.createBar();
+        }
+
+        const { session, name } = this.replay;
+        this.bar.querySelector('[data-replay="title"]').textContent = `Replaying ${name}`;
+        this.bar.querySelector('[data-replay="events"]').textContent = `${formatNumber(session.events.length)} events`;
+        this.bar.querySelector('[data-replay="scrubber"]').max = session.duration;
+        this.bar.querySelector('[data-replay="speed"]').value = String(this.replay.speed);
+        this.bar.hidden = false;
+        document.body.classList.add('replaying');
+    }
+
+    createBar() {
+        this.bar = document.createElement('div');
+        this.bar.className = 'replay-bar';
+        this.bar.setAttribute('role', 'region');
+        this.bar.setAttribute('aria-label', 'Session replay');
+        this.bar.innerHTML = `
+            <div class="replay-info">
+                <span class="replay-title"><i class="fas fa-history"></i> <span data-replay="title"></span></span>
+                <span class="replay-meta"><span data-replay="clock"></span> · <span data-replay="events"></span></span>
+            </div>
+            <button type="button" class="action-btn" data-replay-action="toggle" title="Pause">
+                <i class="fas fa-pause"></i>
+            </button>
+            <input type="range" class="replay-scrubber" data-replay="scrubber" min="0" step="100" value="0" aria-label="Replay position">
+            <span class="replay-time" data-replay="time"></span>
+            <select class="form-select replay-speed" data-replay="speed" aria-label="Replay speed">
+                ${this.speeds.map(speed => `<option value="${speed}">${speed}x</option>`).join('')}
+            </select>
+            <button type="button" class="view-all" data-replay-action="exit">
+                <i class="fas fa-times"></i> Exit replay
+            </button>
+        `;
+        document.body.appendChild(this.bar);
+
+        this.bar.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-replay-action]')?.dataset.replayAction;
+            if (action === 'toggle') {
+                if (this.replay.playing) {
+                    this.pause();
+                } else {
+                    this.play();
+                }
+            } else if (action === 'exit') {
+                this.exitReplay();
+            }
+        });
+
+        // Dragging only moves the labels; the screen is rebuilt once the thumb is let go
+        const scrubber = this.bar.querySelector('[data-replay="scrubber"]');
+        scrubber.addEventListener('input', () => {
+            this.replay.scrubbing = true;
+            this.renderTime(Number(scrubber.value));
+        });
+        scrubber.addEventListener('change', () => {
+            this.replay.scrubbing = false;
+            this.seek(Number(scrubber.value));
+        });
+
+        this.bar.querySelector('[data-replay="speed"]').addEventListener('change', (e) => {
+            this.replay.speed = Number(e.target.value) || 1;
+        });
+    }
+
+    renderBar() {
+        const replay = this.replay;
+        if (!replay || !this.bar) return;
+
+        const toggle = this.bar.querySelector('[data-replay-action="toggle"]');
+        toggle.title = replay.playing ? 'Pause' : 'Play';
+        toggle.querySelector('i').className = `fas fa-${replay.playing ? 'pause' : 'play'}`;
+
+        if (!replay.scrubbing) {
+            this.bar.querySelector('[data-replay="scrubber"]').value = replay.position;
+            this.renderTime(replay.position);
+        }
+    }
+
+    renderTime(position) {
+        const { session } = this.replay;
+        this.bar.querySelector('[data-replay="time"]').textContent = `${this.formatOffset(position)} / ${this.formatOffset(session.duration)}`;
+        this.bar.querySelector('[data-replay="clock"]').textContent = session.startedAt
+            ? new Date(session.startedAt + position).toLocaleString()
+            : '';
+    }
+
+    formatOffset(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds % 3600 / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+}
+
+// Initialize the recorder after the socket manager it taps into
+document.addEventListener('DOMContentLoaded', function() {
+    window.sessionRecorder = new SessionRecorder();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionRecorder;
+}
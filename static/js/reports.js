@@ -0,0 +1,329 @@
+// ===== REPORT BUILDER =====
+// Printable summary for a date range: top commands, server growth, uptime and incidents
+
+class ReportBuilder {
+    constructor() {
+        this.report = null;
+        this.chart = null;
+        this.requestToken = 0;
+        this.printColors = { text: '#333333', grid: 'rgba(0, 0, 0, 0.12)', line: '#248046' };
+
+        this.form = document.getElementById('reportForm');
+        this.preset = document.getElementById('reportPreset');
+        this.fromInput = document.getElementById('reportFrom');
+        this.toInput = document.getElementById('reportTo');
+
+        this.init();
+    }
+
+    init() {
+        if (!this.form) return;
+
+        this.applyPreset(this.preset.value);
+        this.setupEventListeners();
+        this.generate();
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generate();
+        });
+
+        this.preset.addEventListener('change', () => {
+            if (this.preset.value !== 'custom') {
+                this.applyPreset(this.preset.value);
+            }
+        });
+
+        [this.fromInput, this.toInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.preset.value = 'custom';
+            });
+        });
+
+        document.getElementById('reportPrint')?.addEventListener('click', () => window.print());
+
+        // Dashboard colours are unreadable on paper; the chart switches palette while printing
+        window.addEventListener('beforeprint', () => this.applyChartColors(this.printColors));
+        window.addEventListener('afterprint', () => this.applyChartColors(this.getThemeColors()));
+        document.addEventListener('themechange', () => this.applyChartColors(this.getThemeColors()));
+    }
+
+    // ===== DATE RANGE =====
+    applyPreset(days) {
+        const to = new Date();
+        const from = new Date();
+        from.setDate(to.getDate() - (parseInt(days) - 1));
+
+        this.fromInput.value = this.toDateValue(from);
+        this.toInput.value = this.toDateValue(to);
+    }
+
+    toDateValue(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    getRange() {
+        // Whole local days: from midnight on the first day to the end of the last
+        const from = new Date(`${this.fromInput.value}T00:00:00`);
+        const to = new Date(`${this.toInput.value}T23:59:59.999`);
+        return { from, to };
+    }
+
+    // ===== DATA HANDLING =====
+    async generate() {
+        const { from, to } = this.getRange();
+        if (isNaN(from) || isNaN(to) || from > to) {
+            this.setStatus('Pick a valid date range: the start must be on or before the end.');
+            return;
+        }
+
+        const token = ++this.requestToken;
+        const button = document.getElementById('reportGenerate');
+        button.disabled = true;
+        this.setStatus('Generating report...');
+
+        try {
+            const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+            const data = await window.apiClient.get(`/api/reports?${params}`, { timeout: 30000 });
+            if (token !== this.requestToken) return;
+
+            this.report = this.normalize(data, from, to);
+            this.render();
+            this.setStatus('');
+        } catch (error) {
+            if (token !== this.requestToken) return;
+            console.error('Failed to generate report:', error);
+            this.setStatus(`Failed to generate report: ${error.message}`);
+        } finally {
+            if (token === this.requestToken) {
+                button.disabled = false;
+            }
+        }
+    }
+
+    normalize(data, from, to) {
+        const commands = data.commands || {};
+        const growth = data.growth || {};
+        const points = (growth.points || []).map(point => ({
+            timestamp: new Date(point.timestamp).getTime(),
+            servers: point.servers
+        }));
+
+        return {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            generated_at: new Date().toISOString(),
+            commands: {
+                total: commands.total ?? (commands.top || []).reduce((sum, command) => sum + command.count, 0),
+                top: (commands.top || []).slice().sort((a, b) => b.count - a.count)
+            },
+            growth: {
+                start: growth.start ?? points[0]?.servers ?? 0,
+                end: growth.end ?? points[points.length - 1]?.servers ?? 0,
+                joined: growth.joined ?? null,
+                left: growth.left ?? null,
+                points
+            },
+            uptime: {
+                percent: data.uptime?.percent ?? null,
+                downtime_seconds: data.uptime?.downtime_seconds ?? 0,
+                restarts: data.uptime?.restarts ?? 0
+            },
+            incidents: (data.incidents || []).slice().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        };
+    }
+
+    // ===== RENDERING =====
+    render() {
+        const report = this.report;
+        const change = report.growth.end - report.growth.start;
+        const text = (id, value) => {
+            document.getElementById(id).textContent = value;
+        };
+
+        text('reportRange', `${new Date(report.from).toLocaleDateString()} – ${new Date(report.to).toLocaleDateString()}`);
+        text('reportGenerated', `Generated ${new Date(report.generated_at).toLocaleString()}`);
+        text('reportCommandsTotal', formatNumber(report.commands.total));
+        text('reportServerChange', `${change > 0 ? '+' : ''}${formatNumber(change)}`);
+        text('reportUptime', report.uptime.percent === null ? '—' : `${report.uptime.percent.toFixed(2)}%`);
+        text('reportIncidentCount', formatNumber(report.incidents.length));
+
+        const movement = report.growth.joined !== null
+            ? ` (${formatNumber(report.growth.joined)} joined, ${formatNumber(report.growth.left)} left)`
+            : '';
+        text('reportGrowthNote', `${formatNumber(report.growth.start)} → ${formatNumber(report.growth.end)} servers${movement}.`);
+        text('reportUptimeNote', report.uptime.percent === null
+            ? 'No uptime data for this range.'
+            : `${this.formatDuration(report.uptime.downtime_seconds)} of downtime across ${report.uptime.restarts} restart${report.uptime.restarts === 1 ? '' : 's'}.`);
+
+        // Shown before the chart is drawn so Chart.js can measure its container
+        document.getElementById('reportSheet').hidden = false;
+        this.renderCommands();
+        this.renderIncidents();
+        this.renderGrowthChart();
+
+        document.getElementById('reportPrint').disabled = false;
+        document.getElementById('reportExport').disabled = false;
+    }
+
+    renderCommands() {
+        const { total, top } = this.report.commands;
+        const body = document.getElementById('reportCommands');
+
+        if (!top.length) {
+            body.innerHTML = '<tr><td colspan="4">No commands were run in this range.</td></tr>';
+            return;
+        }
+
+        body.innerHTML = top.slice(0, 10).map((command, index) => {
+            const share = total ? (command.count / total) * 100 : 0;
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(command.name)}</td>
+                    <td>${formatNumber(command.count)}</td>
+                    <td><span class="report-share" style="width: ${Math.max(share, 1).toFixed(1)}px"></span>${share.toFixed(1)}%</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderIncidents() {
+        const body = document.getElementById('reportIncidents');
+        const incidents = this.report.incidents;
+
+        if (!incidents.length) {
+            body.innerHTML = '<tr><td colspan="4">No incidents in this range.</td></tr>';
+            return;
+        }
+
+        body.innerHTML = incidents.map(incident => `
+            <tr>
+                <td>${new Date(incident.timestamp).toLocaleString()}</td>
+                <td><span class="report-level ${escapeHtml(incident.level || 'warning')}">${escapeHtml(incident.level || 'warning')}</span></td>
+                <td>${escapeHtml(incident.title || incident.message)}${incident.title && incident.message ? `<br><small>${escapeHtml(incident.message)}</small>` : ''}</td>
+                <td>${incident.duration_seconds ? this.formatDuration(incident.duration_seconds) : (incident.resolved === false ? 'Ongoing' : '—')}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderGrowthChart() {
+        const canvas = document.getElementById('reportGrowthChart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        const points = this.report.growth.points;
+        const labels = points.map(point => new Date(point.timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' }));
+        const data = points.map(point => point.servers);
+
+        if (this.chart) {
+            this.chart.data.labels = labels;
+            this.chart.data.datasets[0].data = data;
+            this.chart.update();
+            return;
+        }
+
+        this.chart = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Servers',
+                    data,
+                    fill: false,
+                    borderWidth: 2,
+                    tension: 0.3,
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                // Printing snapshots the canvas, so it must never be caught mid-animation
+                animation: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 10 }, grid: {} },
+                    y: { ticks: {}, grid: {} }
+                }
+            }
+        });
+        this.applyChartColors(this.getThemeColors());
+    }
+
+    getThemeColors() {
+        const colors = window.chartManager?.getThemeColors() || {};
+        return { text: colors.text, grid: colors.grid, line: colors.success };
+    }
+
+    applyChartColors(colors) {
+        if (!this.chart) return;
+
+        const { x, y } = this.chart.options.scales;
+        x.ticks.color = colors.text;
+        y.ticks.color = colors.text;
+        x.grid.color = colors.grid;
+        y.grid.color = colors.grid;
+        this.chart.data.datasets[0].borderColor = colors.line;
+        this.chart.update('none');
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('reportStatus');
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const days = Math.floor(total / 86400);
+        const hours = Math.floor((total % 86400) / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+
+        if (days) return `${days}d ${hours}h`;
+        if (hours) return `${hours}h ${minutes}m`;
+        if (minutes) return `${minutes}m`;
+        return `${total}s`;
+    }
+
+    // ===== EXPORT =====
+    export(format) {
+        if (!this.report) return;
+
+        // Local dates, as picked; the ISO strings are UTC and can fall on the previous day
+        const day = (iso) => this.toDateValue(new Date(iso));
+        const filename = `musebot-report-${day(this.report.from)}_to_${day(this.report.to)}`;
+        const exporter = window.exportManager;
+
+        switch (format) {
+            case 'json':
+                downloadFile(`${filename}.json`, JSON.stringify(this.report, null, 2), 'application/json');
+                break;
+            case 'commands-csv':
+                exporter.exportRows(`${filename}-commands`, this.report.commands.top, [
+                    { label: 'Command', value: command => command.name },
+                    { label: 'Uses', value: command => command.count }
+                ], 'csv');
+                break;
+            case 'incidents-csv':
+                exporter.exportRows(`${filename}-incidents`, this.report.incidents, [
+                    { label: 'Started', value: incident => new Date(incident.timestamp).toISOString() },
+                    { label: 'Severity', value: incident => incident.level || '' },
+                    { label: 'Title', value: incident => incident.title || '' },
+                    { label: 'Message', value: incident => incident.message || '' },
+                    { label: 'Duration (s)', value: incident => incident.duration_seconds ?? '' }
+                ], 'csv');
+                break;
+        }
+    }
+}
+
+// Initialize report builder when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.reportBuilder = new ReportBuilder();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportBuilder;
+}
@@ -3,11 +3,18 @@
 
 class MuseBotDashboard {
     constructor() {
-        this.socket = null;
+        this.socketManager = null;
         this.currentStats = {};
         this.commandChart = null;
         this.growthChart = null;
         this.isConnected = false;
+        this.connectionState = 'connecting';
+        this.activities = [];
+        this.maxActivities = 50;
+        this.silentRequests = new Set();
+
+        // Held for the notification center, which is created after the dashboard
+        this.pendingNotifications = [];
         
         this.init();
     }
@@ -15,8 +22,7 @@ class MuseBotDashboard {
     init() {
         this.setupEventListeners();
         this.setupSidebar();
-        this.setupTheme();
-        this.connectWebSocket();
+        this.connectSocketManager();
         this.loadInitialData();
         
         console.log('MuseBot Dashboard initialized');
@@ -53,18 +59,6 @@ class MuseBotDashboard {
             });
         });
 
-        // Quick action buttons
-        document.querySelectorAll('.action-button').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const action = button.getAttribute('onclick');
-                if (action) {
-                    // Remove 'onclick' and execute
-                    const command = action.replace('onclick=', '').replace(/'/g, '');
-                    this.executeCommand(command);
-                }
-            });
-        });
-
         // Responsive adjustments
         window.addEventListener('resize', () => {
             this.handleResize();
@@ -80,75 +74,88 @@ class MuseBotDashboard {
         }
     }
 
-    setupTheme() {
-        // Load saved theme preference
-        const savedTheme = localStorage.getItem('theme') || 'dark';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-    }
-
     // ===== WEBSOCKET FUNCTIONS =====
-    connectWebSocket() {
-        try {
-            this.socket = io({
-                transports: ['websocket', 'polling'],
-                upgrade: true,
-                reconnection: true,
-                reconnectionAttempts: Infinity,
-                reconnectionDelay: 1000,
-                reconnectionDelayMax: 5000,
-                timeout: 20000
-            });
+    connectSocketManager() {
+        // All socket traffic goes through the shared SocketManager connection
+        this.socketManager = window.socketManager;
+        if (!this.socketManager) {
+            console.error('SocketManager not available');
+            return;
+        }
 
-            this.socket.on('connect', () => {
-                console.log('Connected to server via WebSocket');
-                this.isConnected = true;
-                this.updateConnectionStatus(true);
-            });
+        this.isConnected = this.socketManager.getConnectionStatus();
+        this.updateConnectionStatus(this.socketManager.getConnectionState());
 
-            this.socket.on('disconnect', () => {
-                console.log('Disconnected from server');
-                this.isConnected = false;
-                this.updateConnectionStatus(false);
-            });
+        this.socketManager.on('connection_change', (data) => {
+            this.isConnected = data.connected;
+        });
 
-            this.socket.on('stats_update', (data) => {
-                this.updateDashboard(data);
-            });
+        // The cards, feed and indicator are view listeners, so a session replay can drive them
+        this.socketManager.on('status_change', (data) => {
+            this.updateConnectionStatus(data.state, data);
+        }, { view: true });
 
-            this.socket.on('activity_update', (data) => {
-                this.updateActivityFeed(data);
-            });
+        this.socketManager.on('stats_update', (data) => {
+            this.updateDashboard(data);
+        }, { view: true });
 
-            this.socket.on('command_result', (data) => {
-                this.showNotification(data.message, data.success ? 'success' : 'error');
-            });
+        this.socketManager.on('activity_update', (data) => {
+            this.updateActivityFeed(data);
+        }, { view: true });
 
-            this.socket.on('error', (error) => {
-                console.error('WebSocket error:', error);
-                this.showNotification('Connection error', 'error');
-            });
+        this.socketManager.on('polling_update', (data) => {
+            if (data.stats) {
+                this.updateDashboard(data.stats);
+            }
+            if (data.activity) {
+                this.updateActivityFeed(data.activity);
+            }
+        }, { view: true });
 
-        } catch (error) {
-            console.error('WebSocket connection failed:', error);
-            this.setupPollingFallback();
-        }
+        this.socketManager.on('command_result', (data) => {
+            // Results for silent requests are rendered by whoever issued them (e.g. the console)
+            if (data.request_id && this.silentRequests.has(data.request_id)) {
+                if (data.done !== false) {
+                    this.silentRequests.delete(data.request_id);
+                }
+                return;
+            }
+            this.showNotification(data.message, data.success ? 'success' : 'error', { source: 'command' });
+        });
+
+        this.socketManager.on('system_alert', (data) => {
+            this.showNotification(data.message, data.level || 'warning', { source: 'alert', title: data.title });
+        });
+
+        // The listeners above stay live during a replay; these only toast what the recording plays back
+        this.socketManager.on('command_result', (data, meta) => {
+            if (meta?.replayed) {
+                this.showNotification(data.message, data.success ? 'success' : 'error', { source: 'command', replayed: true });
+            }
+        }, { view: true });
+
+        this.socketManager.on('system_alert', (data, meta) => {
+            if (meta?.replayed) {
+                this.showNotification(data.message, data.level || 'warning', { source: 'alert', title: data.title, replayed: true });
+            }
+        }, { view: true });
+
+        this.socketManager.on('reconnect_failed', () => {
+            this.showNotification('Live connection lost, falling back to polling', 'warning');
+        });
     }
 
-    setupPollingFallback() {
-        console.log('Setting up polling fallback...');
-        setInterval(() => {
-            this.fetchStats();
-        }, 5000); // Poll every 5 seconds
+    loadInitialData() {
+        // Paint stats straight away instead of waiting for the first socket push
+        this.fetchStats();
     }
 
     // ===== DATA HANDLING =====
     async fetchStats() {
         try {
-            const response = await fetch('/api/stats');
-            if (response.ok) {
-                const data = await response.json();
-                this.updateDashboard(data);
-            }
+            const data = await window.apiClient.get('/api/stats');
+            this.updateDashboard(data);
+            window.offlineManager?.recordSnapshot({ stats: data });
         } catch (error) {
             console.error('Failed to fetch stats:', error);
         }
@@ -157,11 +164,8 @@ class MuseBotDashboard {
     updateDashboard(data) {
         this.currentStats = data;
         
-        // Update statistics cards
-        this.updateStatCard('servers-count', data.servers);
-        this.updateStatCard('users-count', data.users);
-        this.updateStatCard('commands-count', data.commands_used);
-        this.updateStatCard('music-players', data.music_players);
+        // Stat cards, status values and anything else marked up with data-bind
+        window.dataBinder.render(data);
         
         // Update system status
         this.updateSystemStatus(data);
@@ -179,59 +183,33 @@ class MuseBotDashboard {
         }
     }
 
-    updateStatCard(elementId, value) {
-        const element = document.getElementById(elementId);
-        if (element) {
-            // Animate value change
-            this.animateValue(element, parseInt(element.textContent) || 0, value, 1000);
-        }
-    }
-
-    animateValue(element, start, end, duration) {
-        let startTimestamp = null;
-        const step = (timestamp) => {
-            if (!startTimestamp) startTimestamp = timestamp;
-            const progress = Math.min((timestamp - startTimestamp) / duration, 1);
-            const value = Math.floor(progress * (end - start) + start);
-            element.textContent = value.toLocaleString();
-            if (progress < 1) {
-                window.requestAnimationFrame(step);
-            }
-        };
-        window.requestAnimationFrame(step);
-    }
-
     updateSystemStatus(data) {
-        // Update CPU usage
-        this.updateProgressBar('cpuUsage', 'cpuProgress', data.cpu_usage);
-        
-        // Update memory usage (assuming data.memory_usage is like "150MB")
-        const memoryValue = parseInt(data.memory_usage) || 0;
-        const memoryPercent = Math.min((memoryValue / 1000) * 100, 100); // Assuming 1000MB max
-        this.updateProgressBar('memoryUsage', 'memoryProgress', memoryPercent);
-        
-        // Update latency
-        const latency = parseInt(data.latency) || 0;
-        const latencyPercent = Math.min((latency / 200) * 100, 100); // Assuming 200ms max
-        this.updateProgressBar('latency', 'latencyProgress', latencyPercent);
-        
-        // Update uptime
-        document.getElementById('uptime').textContent = data.uptime;
+        // Maxima and bar colors come from the alert rules configuration
+        const metrics = window.alertRules ? window.alertRules.readMetrics(data) : {};
+
+        // The values themselves are bound in the template; only the bars are drawn here
+        if (metrics.cpu !== undefined) {
+            this.updateProgressBar('cpuProgress', 'cpu', metrics.cpu);
+        }
+        if (metrics.memory !== undefined) {
+            this.updateProgressBar('memoryProgress', 'memory', metrics.memory);
+        }
+        if (metrics.latency !== undefined) {
+            this.updateProgressBar('latencyProgress', 'latency', metrics.latency);
+        }
     }
 
-    updateProgressBar(valueId, progressId, percent) {
-        const valueElement = document.getElementById(valueId);
+    updateProgressBar(progressId, metric, value) {
         const progressElement = document.getElementById(progressId);
         
-        if (valueElement && progressElement) {
-            const numericValue = typeof percent === 'string' ? parseInt(percent) : percent;
-            valueElement.textContent = typeof percent === 'string' ? percent : `${percent}%`;
-            progressElement.style.width = `${numericValue}%`;
+        if (progressElement) {
+            const { percent, level } = window.alertRules.getProgress(metric, value);
+            progressElement.style.width = `${percent}%`;
             
-            // Update color based on value
-            if (numericValue > 80) {
+            // Update color based on the most severe breached rule
+            if (level === 'critical') {
                 progressElement.style.background = 'linear-gradient(90deg, var(--danger) 0%, #c94144 100%)';
-            } else if (numericValue > 60) {
+            } else if (level === 'warning') {
                 progressElement.style.background = 'linear-gradient(90deg, var(--warning) 0%, #d0ad32 100%)';
             } else {
                 progressElement.style.background = 'linear-gradient(90deg, var(--primary) 0%, var(--primary-hover) 100%)';
@@ -239,65 +217,125 @@ class MuseBotDashboard {
         }
     }
 
-    updateBotStatus(status) {
+    updateBotStatus(status = this.currentStats.status) {
         const statusElement = document.getElementById('botStatus');
         const statusDot = statusElement?.querySelector('.status-dot');
-        
-        if (statusElement && statusDot) {
-            statusElement.querySelector('span:last-child').textContent = status.charAt(0).toUpperCase() + status.slice(1);
-            
-            statusDot.className = 'status-dot';
-            if (status === 'online') {
-                statusDot.classList.add('online');
-            } else if (status === 'offline') {
-                statusDot.style.background = 'var(--danger)';
-            } else {
-                statusDot.style.background = 'var(--warning)';
-            }
+        if (!statusElement || !statusDot) return;
+
+        // The bot's own status only means something while data is flowing; otherwise show why it isn't
+        const live = this.connectionState === 'connected' || this.connectionState === 'polling';
+        const connectionLabels = {
+            connected: 'Waiting for bot...',
+            connecting: 'Connecting...',
+            reconnecting: 'Reconnecting...',
+            polling: 'Waiting for bot...',
+            offline: 'Dashboard offline'
+        };
+
+        let label;
+        let level;
+        if (live && status) {
+            label = status.charAt(0).toUpperCase() + status.slice(1);
+            level = status === 'online' ? 'online' : (status === 'offline' ? 'offline' : 'pending');
+        } else {
+            label = connectionLabels[this.connectionState] || 'Disconnected';
+            level = this.connectionState === 'offline' ? 'offline' : 'pending';
         }
+
+        statusElement.querySelector('span:last-child').textContent = label;
+        statusElement.title = `Connection: ${this.connectionState}. Click for diagnostics.`;
+        statusDot.className = `status-dot ${level}`;
     }
 
-    updateConnectionStatus(connected) {
-        const indicator = document.getElementById('connectionIndicator');
-        if (indicator) {
-            indicator.textContent = connected ? '🟢 Connected' : '🔴 Disconnected';
-            indicator.style.color = connected ? 'var(--success)' : 'var(--danger)';
-        }
+    updateConnectionStatus(state, details = {}) {
+        this.connectionState = state;
+
+        const labels = {
+            connected: 'Connected',
+            connecting: 'Connecting...',
+            reconnecting: `Reconnecting (${details.attempt || 0}/${details.maxAttempts || '?'})`,
+            polling: 'Polling',
+            offline: 'Offline'
+        };
+
+        window.dataBinder.render({ state, label: labels[state] || 'Disconnected' }, { source: 'connection' });
+        this.updateBotStatus();
     }
 
     // ===== COMMAND EXECUTION =====
-    async executeCommand(command) {
-        if (!this.isConnected) {
-            this.showNotification('Not connected to bot', 'error');
-            return;
+    async executeCommand(command, options = {}) {
+        const requestId = options.requestId || this.generateRequestId();
+        const notify = (message, type) => {
+            if (!options.silent) {
+                this.showNotification(message, type);
+            }
+        };
+
+        const canQueue = window.offlineManager && !options.noQueue;
+        const enqueue = () => {
+            window.offlineManager.enqueue(command, { requestId, silent: options.silent });
+            notify(`Offline: "${command}" will run when the connection is back`, 'info');
+            return { success: false, pending: true, queued: true, message: 'Queued until reconnect', request_id: requestId };
+        };
+
+        // Commands go over REST, so the socket still connecting is no reason to hold them back;
+        // only the browser being offline or the request not getting through is
+        if (!navigator.onLine) {
+            if (canQueue) return enqueue();
+            notify('Not connected to bot', 'error');
+            return { success: false, offline: true, message: 'Not connected to bot', request_id: requestId };
         }
 
-        try {
-            const response = await fetch('/api/execute', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ command })
-            });
+        if (options.silent) {
+            this.silentRequests.add(requestId);
+        }
 
-            const data = await response.json();
-            this.showNotification(data.message, data.success ? 'success' : 'error');
+        try {
+            const data = await window.apiClient.post('/api/execute', { command, request_id: requestId });
+            notify(data.message, data.success ? 'success' : 'error');
+            if (!data.pending) {
+                this.silentRequests.delete(requestId);
+            }
+            return { ...data, request_id: data.request_id || requestId };
             
         } catch (error) {
+            this.silentRequests.delete(requestId);
+            if (error.isNetworkError && canQueue) {
+                return enqueue();
+            }
+
             console.error('Command execution failed:', error);
-            this.showNotification('Failed to execute command', 'error');
+            const message = error.status ? error.message : `Failed to execute command: ${error.message}`;
+            notify(message, 'error');
+            return { success: false, offline: Boolean(error.isNetworkError), message, request_id: requestId };
         }
     }
 
+    generateRequestId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `req-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
     // ===== UI HELPERS =====
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', options = {}) {
+        // Keep a copy in the notification center so it outlives the toast; toasts from a replay are old news
+        if (!options.replayed) {
+            const entry = { message, type, source: options.source, title: options.title };
+            if (window.notificationCenter) {
+                window.notificationCenter.add(entry);
+            } else {
+                this.pendingNotifications.push(entry);
+            }
+        }
+
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <i class="fas fa-${this.getNotificationIcon(type)}"></i>
-            <span>${message}</span>
+            <span>${escapeHtml(message)}</span>
             <button onclick="this.parentElement.remove()">
                 <i class="fas fa-times"></i>
             </button>
@@ -351,9 +389,9 @@ class MuseBotDashboard {
     }
 
     handleSearch(query) {
-        // Implement search functionality
-        console.log('Searching for:', query);
-        // This would filter commands, servers, etc. based on the query
+        if (window.searchManager) {
+            window.searchManager.search(query, window.searchManager.dropdown);
+        }
     }
 
     handleResize() {
@@ -365,40 +403,63 @@ class MuseBotDashboard {
 
     async logout() {
         try {
-            const response = await fetch('/logout');
-            if (response.ok) {
-                window.location.href = '/login';
-            }
+            await window.apiClient.get('/logout', { retries: 0, skipAuthHook: true });
+            window.location.href = '/login';
         } catch (error) {
             console.error('Logout failed:', error);
+            this.showNotification(`Logout failed: ${error.message}`, 'error');
         }
     }
 
     // ===== ACTIVITY FEED =====
     updateActivityFeed(activities) {
+        // Accepts a single activity or a list in any order; only unseen entries are added, newest first
+        const time = (activity) => new Date(activity.timestamp).getTime() || 0;
+        const incoming = (Array.isArray(activities) ? activities : [activities])
+            .filter(activity => activity && !this.activities.some(known => this.getActivityKey(known) === this.getActivityKey(activity)))
+            .sort((a, b) => time(b) - time(a));
+
+        if (incoming.length === 0) return;
+
+        this.activities = [...incoming, ...this.activities].slice(0, this.maxActivities);
+
         const activityList = document.getElementById('activityList');
         if (!activityList) return;
 
-        // Clear existing activities
-        activityList.innerHTML = '';
+        // Drop the static placeholder items on the first real update
+        activityList.querySelectorAll('.activity-item:not([data-key])').forEach(item => item.remove());
 
-        // Add new activities
-        activities.slice(0, 5).forEach(activity => {
+        // Prepended oldest to newest so the newest ends up on top
+        incoming.slice().reverse().forEach(activity => {
             const activityItem = this.createActivityItem(activity);
-            activityList.appendChild(activityItem);
+            activityItem.classList.add('fade-in');
+            activityList.prepend(activityItem);
         });
+
+        // The dashboard card only keeps the latest few
+        Array.from(activityList.children).slice(5).forEach(item => item.remove());
+    }
+
+    clearActivityFeed() {
+        this.activities = [];
+        document.getElementById('activityList')?.replaceChildren();
+    }
+
+    getActivityKey(activity) {
+        return activity.id !== undefined ? String(activity.id) : `${activity.timestamp}|${activity.message}`;
     }
 
     createActivityItem(activity) {
         const item = document.createElement('div');
         item.className = 'activity-item';
+        item.dataset.key = this.getActivityKey(activity);
         
         item.innerHTML = `
-            <div class="activity-icon ${activity.type}">
+            <div class="activity-icon ${escapeHtml(activity.type)}">
                 <i class="fas fa-${this.getActivityIcon(activity.type)}"></i>
             </div>
             <div class="activity-content">
-                <p>${activity.message}</p>
+                <p>${escapeHtml(activity.message)}</p>
                 <span class="activity-time">${this.formatTime(activity.timestamp)}</span>
             </div>
         `;
@@ -434,30 +495,32 @@ function executeCommand(command) {
 }
 
 function showBroadcastModal() {
-    const modal = document.getElementById('broadcastModal');
-    if (modal) {
-        modal.show();
-    }
+    window.broadcastManager?.open();
 }
 
 function hideBroadcastModal() {
-    const modal = document.getElementById('broadcastModal');
-    if (modal) {
-        modal.hide();
-    }
+    window.broadcastManager?.close();
 }
 
 function sendBroadcast() {
-    const message = document.getElementById('broadcastMessage')?.value;
-    if (message) {
-        executeCommand(`broadcast ${message}`);
-        hideBroadcastModal();
-    }
+    window.broadcastManager?.send();
 }
 
-function refreshCommands() {
-    if (window.dashboard) {
-        window.dashboard.fetchStats();
-        window.dashboard.showNotification('Commands refreshed', 'success');
+function newBroadcast() {
+    window.broadcastManager?.reset();
+}
+
+function showSettings() {
+    window.location.href = '/settings';
+}
+
+async function refreshCommands() {
+    if (!window.commandManager) return;
+
+    try {
+        const commands = await window.commandManager.loadCommands(true);
+        window.dashboard?.showNotification(`Loaded ${commands.length} commands`, 'success');
+    } catch (error) {
+        window.dashboard?.showNotification('Failed to refresh commands', 'error');
     }
 }
\ No newline at end of file
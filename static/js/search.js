@@ -0,0 +1,422 @@
+// ===== GLOBAL SEARCH =====
+// Header search dropdown and Ctrl+K command palette over one shared index
+
+class SearchManager {
+    constructor() {
+        this.input = document.getElementById('searchInput');
+        this.dropdown = null;
+        this.palette = null;
+        this.paletteInput = null;
+        this.activeList = null;
+        this.results = [];
+        this.selectedIndex = -1;
+        this.servers = null;
+        this.maxResultsPerGroup = 5;
+
+        this.groupLabels = {
+            page: 'Pages',
+            action: 'Quick Actions',
+            command: 'Commands',
+            server: 'Servers',
+            activity: 'Recent Activity'
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.createDropdown();
+        this.createPalette();
+        this.setupEventListeners();
+    }
+
+    // ===== SETUP FUNCTIONS =====
+    createDropdown() {
+        if (!this.input) return;
+
+        this.dropdown = document.createElement('div');
+        this.dropdown.className = 'search-results';
+        this.dropdown.setAttribute('role', 'listbox');
+        this.input.setAttribute('autocomplete', 'off');
+        this.input.placeholder = 'Search... (Ctrl+K)';
+        this.input.parentElement.appendChild(this.dropdown);
+    }
+
+    createPalette() {
+        this.palette = document.createElement('div');
+        this.palette.className = 'command-palette';
+        this.palette.innerHTML = `
+            <div class="command-palette-dialog" role="dialog" aria-label="Command palette">
+                <div class="command-palette-input">
+                    <i class="fas fa-search"></i>
+                    <input type="text" placeholder="Search commands, servers, pages..." autocomplete="off">
+                    <kbd>Esc</kbd>
+                </div>
+                <div class="search-results command-palette-results" role="listbox"></div>
+            </div>
+        `;
+        document.body.appendChild(this.palette);
+        this.paletteInput = this.palette.querySelector('input');
+    }
+
+    setupEventListeners() {
+        if (this.input) {
+            this.input.addEventListener('focus', () => {
+                this.prefetch();
+                if (this.input.value.trim()) {
+                    this.search(this.input.value, this.dropdown);
+                }
+            });
+            this.input.addEventListener('keydown', (e) => this.handleKeydown(e, this.dropdown));
+            this.input.addEventListener('blur', () => {
+                // Delay so clicks on results register before the dropdown closes
+                setTimeout(() => this.closeDropdown(), 150);
+            });
+        }
+
+        const runPaletteSearch = debounce(() => this.search(this.paletteInput.value, this.getPaletteList()), 80);
+        this.paletteInput.addEventListener('input', runPaletteSearch);
+        this.paletteInput.addEventListener('keydown', (e) => this.handleKeydown(e, this.getPaletteList()));
+
+        this.palette.addEventListener('mousedown', (e) => {
+            if (e.target === this.palette) {
+                this.closePalette();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.togglePalette();
+            }
+        });
+    }
+
+    getPaletteList() {
+        return this.palette.querySelector('.command-palette-results');
+    }
+
+    // ===== INDEX =====
+    prefetch() {
+        Promise.all([
+            window.commandManager?.getCatalog(),
+            this.loadServers()
+        ]).then(() => this.refresh());
+    }
+
+    refresh() {
+        // Re-run the open search once lazily loaded sources arrive
+        if (this.palette.classList.contains('open')) {
+            this.search(this.paletteInput.value, this.getPaletteList());
+        } else if (this.dropdown?.classList.contains('open')) {
+            this.search(this.input.value, this.dropdown);
+        }
+    }
+
+    async loadServers() {
+        if (this.servers) return this.servers;
+
+        try {
+            const data = await window.apiClient.get('/api/servers');
+            this.servers = data.servers || [];
+        } catch (error) {
+            console.error('Failed to load servers for search:', error);
+        }
+
+        return this.servers || [];
+    }
+
+    buildIndex() {
+        return [
+            ...this.getPageEntries(),
+            ...this.getActionEntries(),
+            ...this.getCommandEntries(),
+            ...this.getServerEntries(),
+            ...this.getActivityEntries()
+        ];
+    }
+
+    getPageEntries() {
+        return Array.from(document.querySelectorAll('.sidebar .nav-item[href]'))
+            .filter(item => !item.classList.contains('logout') && item.getAttribute('href') !== '#' && !item.hidden)
+            .map(item => ({
+                type: 'page',
+                title: item.textContent.trim(),
+                icon: item.querySelector('i')?.className || 'fas fa-file',
+                run: () => { window.location.href = item.getAttribute('href'); }
+            }));
+    }
+
+    getActionEntries() {
+        return Array.from(document.querySelectorAll('.action-button:not(.permission-denied)')).map(button => {
+            const command = button.dataset.command;
+            return {
+                type: 'action',
+                title: button.textContent.trim(),
+                subtitle: command ? `Runs "${command}"` : '',
+                icon: button.querySelector('i')?.className || 'fas fa-bolt',
+                run: () => {
+                    if (command) {
+                        executeCommand(command);
+                    } else {
+                        button.click();
+                    }
+                }
+            };
+        });
+    }
+
+    getCommandEntries() {
+        const commands = window.commandManager?.getAvailableCommands() || [];
+        return commands.map(command => ({
+            type: 'command',
+            title: command.name,
+            subtitle: command.description,
+            keywords: command.aliases,
+            icon: 'fas fa-terminal',
+            run: () => this.openCommand(command.name)
+        }));
+    }
+
+    getServerEntries() {
+        return (this.servers || []).map(server => ({
+            type: 'server',
+            title: server.name,
+            subtitle: `${formatNumber(server.member_count)} members`,
+            keywords: [String(server.id)],
+            icon: 'fas fa-server',
+            run: () => {
+                if (window.serverManager) {
+                    window.serverManager.openServer(server.id);
+                } else {
+                    window.location.href = `/servers?guild=${encodeURIComponent(server.id)}`;
+                }
+            }
+        }));
+    }
+
+    getActivityEntries() {
+        const activities = window.dashboard?.activities || [];
+        return activities.map(activity => ({
+            type: 'activity',
+            title: activity.message,
+            subtitle: window.dashboard.formatTime(activity.timestamp),
+            icon: `fas fa-${window.dashboard.getActivityIcon(activity.type)}`,
+            run: () => {
+                const activityCard = document.querySelector('.activity-card');
+                if (activityCard) {
+                    activityCard.scrollIntoView({ behavior: 'smooth' });
+                } else {
+                    window.location.href = '/';
+                }
+            }
+        }));
+    }
+
+    openCommand(name) {
+        const item = document.querySelector(`.command-item[data-command="${CSS.escape(name)}"]`);
+        if (item) {
+            item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            item.classList.add('highlight');
+            setTimeout(() => item.classList.remove('highlight'), 2000);
+        } else {
+            window.location.href = `/commands?command=${encodeURIComponent(name)}`;
+        }
+    }
+
+    // ===== MATCHING =====
+    scoreEntry(entry, query) {
+        const candidates = [entry.title, ...(entry.keywords || [])];
+        let best = 0;
+
+        candidates.forEach(candidate => {
+            best = Math.max(best, this.scoreText(String(candidate).toLowerCase(), query));
+        });
+
+        if (!best && entry.subtitle && entry.subtitle.toLowerCase().includes(query)) {
+            best = 5;
+        }
+
+        return best;
+    }
+
+    scoreText(text, query) {
+        if (text === query) return 100;
+        if (text.startsWith(query)) return 80;
+        if (text.split(/[\s\-_]+/).some(word => word.startsWith(query))) return 60;
+        if (text.includes(query)) return 40;
+
+        // Fuzzy subsequence match, e.g. "srvl" -> "serverlist"
+        let position = 0;
+        for (const char of query) {
+            position = text.indexOf(char, position);
+            if (position === -1) return 0;
+            position++;
+        }
+        return 10;
+    }
+
+    search(rawQuery, list) {
+        const query = rawQuery.trim().toLowerCase();
+        this.activeList = list;
+
+        if (!query) {
+            this.results = list === this.dropdown ? [] : this.getPageEntries().concat(this.getActionEntries());
+        } else {
+            const counts = {};
+            this.results = this.buildIndex()
+                .map(entry => ({ entry, score: this.scoreEntry(entry, query) }))
+                .filter(result => result.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .filter(result => {
+                    counts[result.entry.type] = (counts[result.entry.type] || 0) + 1;
+                    return counts[result.entry.type] <= this.maxResultsPerGroup;
+                })
+                .map(result => result.entry);
+        }
+
+        this.selectedIndex = this.results.length ? 0 : -1;
+        this.renderResults(list, query);
+    }
+
+    // ===== RENDERING =====
+    renderResults(list, query) {
+        if (!list) return;
+
+        if (list === this.dropdown) {
+            list.classList.toggle('open', Boolean(query));
+        }
+
+        if (!this.results.length) {
+            list.innerHTML = query ? '<div class="search-empty">No results found</div>' : '';
+            return;
+        }
+
+        const groups = Object.keys(this.groupLabels)
+            .map(type => ({ type, entries: this.results.filter(entry => entry.type === type) }))
+            .filter(group => group.entries.length);
+
+        // Keep the flat result order in sync with the grouped display order
+        this.results = groups.flatMap(group => group.entries);
+
+        let index = 0;
+        list.innerHTML = groups.map(group => `
+            <div class="search-group">
+                <div class="search-group-label">${this.groupLabels[group.type]}</div>
+                ${group.entries.map(entry => this.renderEntry(entry, index++)).join('')}
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.search-result').forEach(element => {
+            element.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.select(Number(element.dataset.index));
+            });
+            element.addEventListener('mousemove', () => {
+                this.highlight(Number(element.dataset.index));
+            });
+        });
+    }
+
+    renderEntry(entry, index) {
+        return `
+            <div class="search-result ${index === this.selectedIndex ? 'selected' : ''}" role="option" data-index="${index}">
+                <i class="${escapeHtml(entry.icon)}"></i>
+                <div class="search-result-text">
+                    <span class="search-result-title">${escapeHtml(entry.title)}</span>
+                    ${entry.subtitle ? `<span class="search-result-subtitle">${escapeHtml(entry.subtitle)}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    highlight(index) {
+        if (!this.activeList) return;
+
+        this.selectedIndex = index;
+        this.activeList.querySelectorAll('.search-result').forEach(element => {
+            const isSelected = Number(element.dataset.index) === index;
+            element.classList.toggle('selected', isSelected);
+            if (isSelected) {
+                element.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    // ===== KEYBOARD NAVIGATION =====
+    handleKeydown(e, list) {
+        if (this.activeList !== list) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (this.results.length) {
+                    this.highlight((this.selectedIndex + 1) % this.results.length);
+                }
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                if (this.results.length) {
+                    this.highlight((this.selectedIndex - 1 + this.results.length) % this.results.length);
+                }
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.select(this.selectedIndex);
+                break;
+            case 'Escape':
+                this.closeDropdown();
+                this.closePalette();
+                e.target.blur();
+                break;
+        }
+    }
+
+    select(index) {
+        const entry = this.results[index];
+        if (!entry) return;
+
+        this.closeDropdown();
+        this.closePalette();
+        if (this.input) {
+            this.input.value = '';
+        }
+        entry.run();
+    }
+
+    // ===== OPEN / CLOSE =====
+    togglePalette() {
+        if (this.palette.classList.contains('open')) {
+            this.closePalette();
+        } else {
+            this.openPalette();
+        }
+    }
+
+    openPalette() {
+        this.prefetch();
+        this.closeDropdown();
+        this.palette.classList.add('open');
+        this.paletteInput.value = '';
+        this.search('', this.getPaletteList());
+        this.paletteInput.focus();
+    }
+
+    closePalette() {
+        this.palette?.classList.remove('open');
+    }
+
+    closeDropdown() {
+        this.dropdown?.classList.remove('open');
+    }
+}
+
+// Initialize search when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.searchManager = new SearchManager();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchManager;
+}
@@ -0,0 +1,347 @@
+// ===== SERVER MANAGEMENT =====
+// Sortable, filterable guild list with a per-server detail drawer
+
+class ServerManager {
+    constructor() {
+        this.servers = [];
+        this.filtered = [];
+        this.selectedServer = null;
+        this.sortKey = 'memberCount';
+        this.sortDirection = 'desc';
+        this.page = 1;
+        this.pageSize = 50;
+        this.query = '';
+        this.musicFilter = 'all';
+
+        this.tableBody = document.getElementById('serversTableBody');
+        this.drawer = document.getElementById('serverDrawer');
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadServers().then(() => this.openFromUrl());
+    }
+
+    // ===== SETUP FUNCTIONS =====
+    setupEventListeners() {
+        const filterInput = document.getElementById('serverFilter');
+        filterInput?.addEventListener('input', debounce(() => {
+            this.query = filterInput.value.trim().toLowerCase();
+            this.page = 1;
+            this.applyFilters();
+        }, 150));
+
+        document.getElementById('serverMusicFilter')?.addEventListener('change', (e) => {
+            this.musicFilter = e.target.value;
+            this.page = 1;
+            this.applyFilters();
+        });
+
+        document.getElementById('serversPageSize')?.addEventListener('change', (e) => {
+            this.pageSize = parseInt(e.target.value) || 50;
+            this.page = 1;
+            this.renderTable();
+        });
+
+        document.getElementById('serversPrevPage')?.addEventListener('click', () => this.goToPage(this.page - 1));
+        document.getElementById('serversNextPage')?.addEventListener('click', () => this.goToPage(this.page + 1));
+
+        document.querySelectorAll('.servers-table th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => this.setSort(header.dataset.sort));
+        });
+
+        // One delegated listener instead of one per row
+        this.tableBody?.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (row) {
+                this.openServer(row.dataset.id);
+            }
+        });
+    }
+
+    // ===== DATA HANDLING =====
+    async loadServers() {
+        try {
+            const data = await window.apiClient.get('/api/servers');
+            this.servers = (data.servers || []).map(server => this.normalizeServer(server));
+            this.applyFilters();
+            this.renderSummary();
+        } catch (error) {
+            console.error('Failed to load servers:', error);
+            this.renderMessage(`Failed to load servers: ${error.message}`);
+        }
+    }
+
+    normalizeServer(server) {
+        const music = server.music || {};
+        const musicState = music.playing ? 'playing' : (music.paused ? 'paused' : 'idle');
+
+        return {
+            id: String(server.id),
+            name: server.name || 'Unknown server',
+            iconUrl: server.icon_url || null,
+            memberCount: server.member_count || 0,
+            joinedAt: server.joined_at ? new Date(server.joined_at).getTime() : 0,
+            musicState,
+            nowPlaying: music.track?.title || null,
+            commandUsage: server.command_usage || 0,
+            // Precomputed so filtering thousands of guilds doesn't lowercase on every keystroke
+            searchKey: `${server.name || ''} ${server.id}`.toLowerCase(),
+            raw: server
+        };
+    }
+
+    applyFilters() {
+        this.filtered = this.servers.filter(server =>
+            (!this.query || server.searchKey.includes(this.query)) &&
+            (this.musicFilter === 'all' || server.musicState === this.musicFilter)
+        );
+        this.sortServers();
+        this.renderTable();
+    }
+
+    setSort(key) {
+        if (this.sortKey === key) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortKey = key;
+            this.sortDirection = key === 'name' ? 'asc' : 'desc';
+        }
+        this.sortServers();
+        this.renderTable();
+    }
+
+    sortServers() {
+        const key = this.sortKey;
+        const direction = this.sortDirection === 'asc' ? 1 : -1;
+        const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+        this.filtered.sort((a, b) => {
+            const result = typeof a[key] === 'string'
+                ? collator.compare(a[key], b[key])
+                : a[key] - b[key];
+            return result * direction;
+        });
+    }
+
+    goToPage(page) {
+        const totalPages = this.getTotalPages();
+        this.page = Math.min(Math.max(page, 1), totalPages);
+        this.renderTable();
+    }
+
+    getTotalPages() {
+        return Math.max(Math.ceil(this.filtered.length / this.pageSize), 1);
+    }
+
+    // ===== RENDERING =====
+    renderTable() {
+        if (!this.tableBody) return;
+
+        this.renderSortIndicators();
+
+        if (this.filtered.length === 0) {
+            this.renderMessage(this.servers.length ? 'No servers match your filters' : 'The bot is not in any servers');
+            this.renderPagination();
+            return;
+        }
+
+        const start = (this.page - 1) * this.pageSize;
+        const pageServers = this.filtered.slice(start, start + this.pageSize);
+
+        // Only the current page is ever in the DOM
+        this.tableBody.innerHTML = pageServers.map(server => this.renderRow(server)).join('');
+        this.renderPagination();
+    }
+
+    renderRow(server) {
+        return `
+            <tr data-id="${escapeHtml(server.id)}">
+                <td>
+                    <div class="server-name-cell">
+                        ${this.renderIcon(server)}
+                        <div>
+                            ${escapeHtml(server.name)}
+                            <span class="server-id">${escapeHtml(server.id)}</span>
+                        </div>
+                    </div>
+                </td>
+                <td>${formatNumber(server.memberCount)}</td>
+                <td>${server.joinedAt ? new Date(server.joinedAt).toLocaleDateString() : '-'}</td>
+                <td>${this.renderMusicState(server)}</td>
+                <td>${formatNumber(server.commandUsage)}</td>
+            </tr>
+        `;
+    }
+
+    renderIcon(server) {
+        if (server.iconUrl) {
+            return `<div class="server-icon"><img src="${escapeHtml(server.iconUrl)}" alt="" loading="lazy"></div>`;
+        }
+
+        const initials = server.name.split(/\s+/).filter(Boolean).map(word => word[0]).join('').slice(0, 2);
+        return `<div class="server-icon">${escapeHtml(initials)}</div>`;
+    }
+
+    renderMusicState(server) {
+        const classes = { playing: 'online', paused: 'idle', idle: 'offline' };
+        const label = server.musicState.charAt(0).toUpperCase() + server.musicState.slice(1);
+        const title = server.nowPlaying ? ` title="${escapeHtml(server.nowPlaying)}"` : '';
+        return `<span class="status ${classes[server.musicState]}"${title}>${label}</span>`;
+    }
+
+    renderSortIndicators() {
+        document.querySelectorAll('.servers-table th[data-sort]').forEach(header => {
+            header.querySelector('.fas')?.remove();
+            if (header.dataset.sort === this.sortKey) {
+                const icon = document.createElement('i');
+                icon.className = `fas fa-sort-${this.sortDirection === 'asc' ? 'up' : 'down'}`;
+                header.appendChild(icon);
+            }
+        });
+    }
+
+    renderPagination() {
+        const totalPages = this.getTotalPages();
+        const start = this.filtered.length ? (this.page - 1) * this.pageSize + 1 : 0;
+        const end = Math.min(this.page * this.pageSize, this.filtered.length);
+
+        const info = document.getElementById('serversPageInfo');
+        if (info) {
+            info.textContent = `Showing ${formatNumber(start)}-${formatNumber(end)} of ${formatNumber(this.filtered.length)} servers`;
+        }
+
+        const prev = document.getElementById('serversPrevPage');
+        const next = document.getElementById('serversNextPage');
+        if (prev) prev.disabled = this.page <= 1;
+        if (next) next.disabled = this.page >= totalPages;
+    }
+
+    renderSummary() {
+        const totalMembers = this.servers.reduce((sum, server) => sum + server.memberCount, 0);
+        const activePlayers = this.servers.filter(server => server.musicState !== 'idle').length;
+
+        this.setText('totalServers', formatNumber(this.servers.length));
+        this.setText('totalMembers', formatNumber(totalMembers));
+        this.setText('activePlayers', formatNumber(activePlayers));
+    }
+
+    renderMessage(message) {
+        if (this.tableBody) {
+            this.tableBody.innerHTML = `<tr><td colspan="5" class="servers-empty">${escapeHtml(message)}</td></tr>`;
+        }
+    }
+
+    // ===== DETAIL DRAWER =====
+    openFromUrl() {
+        const guildId = new URLSearchParams(window.location.search).get('guild');
+        if (guildId) {
+            this.openServer(guildId);
+        }
+    }
+
+    async openServer(guildId) {
+        const server = this.servers.find(item => item.id === String(guildId));
+        if (!server || !this.drawer) return;
+
+        this.selectedServer = server;
+        this.drawer.label = server.name;
+        this.renderDetail(server, null);
+        this.drawer.show();
+
+        try {
+            const data = await window.apiClient.get(`/api/servers/${encodeURIComponent(server.id)}`);
+            if (this.selectedServer === server) {
+                this.renderDetail(server, data.server || data);
+            }
+        } catch (error) {
+            console.error('Failed to load server details:', error);
+        }
+    }
+
+    renderDetail(server, detail) {
+        const container = document.getElementById('serverDetail');
+        if (!container) return;
+
+        const usage = detail?.command_usage_breakdown || [];
+        const usageRows = usage.length
+            ? usage.map(item => this.renderDetailRow(item.name, formatNumber(item.count))).join('')
+            : `<p class="commands-empty">${detail ? 'No commands used yet' : 'Loading...'}</p>`;
+
+        container.innerHTML = `
+            <div class="server-detail-section">
+                <h4>Overview</h4>
+                ${this.renderDetailRow('Server ID', server.id)}
+                ${this.renderDetailRow('Members', formatNumber(server.memberCount))}
+                ${this.renderDetailRow('Joined', server.joinedAt ? new Date(server.joinedAt).toLocaleString() : '-')}
+                ${detail?.owner ? this.renderDetailRow('Owner', detail.owner) : ''}
+            </div>
+            <div class="server-detail-section">
+                <h4>Music Player</h4>
+                ${this.renderDetailRow('State', this.renderMusicState(server), true)}
+                ${server.nowPlaying ? this.renderDetailRow('Now Playing', server.nowPlaying) : ''}
+            </div>
+            <div class="server-detail-section">
+                <h4>Command Usage</h4>
+                ${usageRows}
+            </div>
+        `;
+    }
+
+    renderDetailRow(label, value, isHtml = false) {
+        return `
+            <div class="server-detail-row">
+                <span>${escapeHtml(label)}</span>
+                <span>${isHtml ? value : escapeHtml(value)}</span>
+            </div>
+        `;
+    }
+
+    async runServerAction(command, confirmMessage) {
+        const server = this.selectedServer;
+        if (!server || !window.dashboard) return;
+
+        // A function replacer keeps "$&" and the like in guild names literal
+        if (!window.confirm(confirmMessage.replace('{name}', () => server.name))) {
+            return;
+        }
+
+        const result = await window.dashboard.executeCommand(`${command} ${server.id}`);
+        if (result?.success) {
+            this.drawer.hide();
+            await this.loadServers();
+        }
+    }
+
+    setText(elementId, value) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.textContent = value;
+        }
+    }
+}
+
+// Initialize server manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.serverManager = new ServerManager();
+});
+
+// ===== GLOBAL FUNCTIONS FOR HTML ONCLICK =====
+function refreshServers() {
+    window.serverManager?.loadServers();
+}
+
+function leaveServer() {
+    window.serverManager?.runServerAction('leaveserver', 'Make the bot leave "{name}"? This cannot be undone.');
+}
+
+function resetServerSettings() {
+    window.serverManager?.runServerAction('resetsettings', 'Reset all bot settings for "{name}" to their defaults?');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServerManager;
+}
@@ -0,0 +1,430 @@
+// ===== SETTINGS MANAGER =====
+// Schema-driven settings forms with validation and unsaved-change tracking
+
+class SettingsManager {
+    constructor() {
+        this.schema = [];
+        this.fields = new Map();
+        this.originalValues = {};
+        this.dirtyFields = new Set();
+        this.isSaving = false;
+        this.leaveConfirmed = false;
+        this.denied = false;
+
+        this.form = document.getElementById('settingsForm');
+        this.saveBar = document.getElementById('settingsSaveBar');
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadSettings();
+    }
+
+    // ===== SETUP FUNCTIONS =====
+    setupEventListeners() {
+        document.addEventListener('permissionschange', () => {
+            if (!window.permissionManager.has('settings.view')) {
+                this.renderNoAccess();
+                return;
+            }
+            if (this.form) window.permissionManager.apply(this.form);
+        });
+
+        this.form?.addEventListener('input', (e) => this.handleFieldChange(e.target));
+        this.form?.addEventListener('change', (e) => this.handleFieldChange(e.target));
+        this.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+
+        document.getElementById('settingsDiscard')?.addEventListener('click', () => this.discard());
+
+        // Warn before leaving with unsaved edits
+        window.addEventListener('beforeunload', (e) => {
+            if (this.hasUnsavedChanges() && !this.leaveConfirmed) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+
+        // Sidebar links get an in-page confirm so the browser prompt isn't shown twice
+        document.querySelectorAll('.sidebar a[href]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                if (!this.hasUnsavedChanges()) return;
+
+                if (window.confirm('You have unsaved changes. Leave without saving?')) {
+                    this.leaveConfirmed = true;
+                } else {
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                }
+            }, true);
+        });
+    }
+
+    renderNoAccess() {
+        // Only the nav link is hidden for these roles, so a direct visit lands here
+        this.denied = true;
+        this.originalValues = {};
+        this.dirtyFields.clear();
+        this.updateSaveBar();
+
+        if (this.form) {
+            this.form.innerHTML = `<div class="alert alert-warning"><i class="fas fa-lock"></i> ${escapeHtml(window.permissionManager.getDeniedReason('settings.view'))}.</div>`;
+        }
+    }
+
+    // ===== DATA HANDLING =====
+    async loadSettings() {
+        try {
+            const [schema, values] = await Promise.all([
+                window.apiClient.get('/api/settings/schema'),
+                window.apiClient.get('/api/settings')
+            ]);
+
+            // The role may have come back without settings.view while these were loading
+            if (this.denied) return;
+
+            this.schema = schema.groups || [];
+            this.originalValues = values.values || {};
+            this.render();
+        } catch (error) {
+            if (this.denied) return;
+            console.error('Failed to load settings:', error);
+            if (this.form) {
+                this.form.innerHTML = `<div class="alert alert-danger"><i class="fas fa-exclamation-circle"></i> Failed to load settings: ${escapeHtml(error.message)}</div>`;
+            }
+        }
+    }
+
+    async save() {
+        if (this.isSaving || !this.hasUnsavedChanges()) return;
+
+        const errors = this.validateAll();
+        if (Object.keys(errors).length) {
+            this.showFieldErrors(errors);
+            window.dashboard?.showNotification('Please fix the highlighted fields', 'error');
+            return;
+        }
+
+        const changes = {};
+        this.dirtyFields.forEach(key => {
+            changes[key] = this.readValue(this.fields.get(key));
+        });
+
+        this.setSaving(true);
+
+        try {
+            const data = await window.apiClient.put('/api/settings', { values: changes });
+
+            if (data.success === false) {
+                this.handleSaveErrors(data);
+                return;
+            }
+
+            this.originalValues = { ...this.originalValues, ...changes, ...(data.values || {}) };
+            this.resetDirtyState();
+            window.dashboard?.showNotification('Settings saved', 'success');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.handleSaveErrors({ message: error.message, ...error.data });
+        } finally {
+            this.setSaving(false);
+        }
+    }
+
+    handleSaveErrors(data) {
+        // Server-side validation errors map back onto their fields
+        if (data.errors) {
+            this.showFieldErrors(data.errors);
+        }
+        window.dashboard?.showNotification(data.message || 'Failed to save settings', 'error');
+    }
+
+    discard() {
+        this.fields.forEach((field, key) => {
+            this.writeValue(field, this.getOriginalValue(field));
+            this.setFieldError(key, null);
+        });
+        this.resetDirtyState();
+    }
+
+    getOriginalValue(field) {
+        return field.key in this.originalValues ? this.originalValues[field.key] : field.default;
+    }
+
+    // ===== RENDERING =====
+    render() {
+        if (!this.form) return;
+
+        this.fields.clear();
+        this.form.innerHTML = this.schema.map(group => this.renderGroup(group)).join('');
+
+        this.schema.forEach(group => {
+            (group.fields || []).forEach(field => {
+                const input = this.form.querySelector(`[name="${CSS.escape(field.key)}"]`);
+                if (input) {
+                    // Sensitive fields can require more than the general edit permission
+                    input.dataset.permission = field.permission || 'settings.edit';
+                }
+                this.fields.set(field.key, { ...field, input, patternRegex: this.compilePattern(field) });
+                this.writeValue(this.fields.get(field.key), this.getOriginalValue(field));
+            });
+        });
+
+        window.permissionManager?.apply(this.form);
+        this.resetDirtyState();
+    }
+
+    renderGroup(group) {
+        return `
+            <section class="settings-group" id="settings-${escapeHtml(group.id)}">
+                <div class="card-header">
+                    <div>
+                        <h3>${escapeHtml(group.label)}</h3>
+                        ${group.description ? `<p class="settings-group-description">${escapeHtml(group.description)}</p>` : ''}
+                    </div>
+                </div>
+                ${(group.fields || []).map(field => this.renderField(field)).join('')}
+            </section>
+        `;
+    }
+
+    renderField(field) {
+        const id = `setting-${field.key}`;
+        const description = field.description
+            ? `<p class="settings-field-description">${escapeHtml(field.description)}</p>`
+            : '';
+
+        if (field.type === 'boolean') {
+            return `
+                <div class="form-group settings-field" data-field="${escapeHtml(field.key)}">
+                    <label class="form-check" for="${escapeHtml(id)}">
+                        <input type="checkbox" class="form-check-input" id="${escapeHtml(id)}" name="${escapeHtml(field.key)}">
+                        <span>${escapeHtml(field.label)}</span>
+                    </label>
+                    ${description}
+                    <p class="settings-field-error"></p>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="form-group settings-field" data-field="${escapeHtml(field.key)}">
+                <label class="form-label" for="${escapeHtml(id)}">
+                    ${escapeHtml(field.label)}${field.required ? ' <span class="settings-required">*</span>' : ''}
+                </label>
+                ${this.renderInput(field, id)}
+                ${description}
+                <p class="settings-field-error"></p>
+            </div>
+        `;
+    }
+
+    renderInput(field, id) {
+        const name = escapeHtml(field.key);
+
+        if (field.options) {
+            const options = field.options.map(option => {
+                const value = typeof option === 'object' ? option.value : option;
+                const label = typeof option === 'object' ? option.label : option;
+                return `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+            });
+            const empty = field.required ? '' : '<option value="">None</option>';
+            return `<select class="form-select" id="${escapeHtml(id)}" name="${name}">${empty}${options.join('')}</select>`;
+        }
+
+        if (field.type === 'integer' || field.type === 'number') {
+            const attrs = [
+                field.min !== undefined ? `min="${field.min}"` : '',
+                field.max !== undefined ? `max="${field.max}"` : '',
+                `step="${field.step || (field.type === 'integer' ? 1 : 'any')}"`
+            ].join(' ');
+            return `<input type="number" class="form-control" id="${escapeHtml(id)}" name="${name}" ${attrs}>`;
+        }
+
+        const maxLength = field.max_length ? `maxlength="${field.max_length}"` : '';
+        return `<input type="text" class="form-control" id="${escapeHtml(id)}" name="${name}" ${maxLength}
+                    placeholder="${escapeHtml(field.placeholder || '')}">`;
+    }
+
+    // ===== VALUE HANDLING =====
+    readValue(field) {
+        const input = field.input;
+        if (!input) return null;
+
+        if (field.type === 'boolean') {
+            return input.checked;
+        }
+
+        const raw = input.value.trim();
+        if (raw === '') {
+            return null;
+        }
+
+        if (field.type === 'integer' || field.type === 'number') {
+            return Number(raw);
+        }
+
+        return raw;
+    }
+
+    writeValue(field, value) {
+        const input = field.input;
+        if (!input) return;
+
+        if (field.type === 'boolean') {
+            input.checked = Boolean(value);
+        } else {
+            input.value = value ?? '';
+        }
+    }
+
+    handleFieldChange(input) {
+        const key = input?.name;
+        const field = this.fields.get(key);
+        if (!field) return;
+
+        const value = this.readValue(field);
+        const original = this.getOriginalValue(field) ?? null;
+
+        // A <select> always reads back a string, even for numeric option values
+        const unchanged = field.options
+            ? String(value ?? '') === String(original ?? '')
+            : value === original || (value === null && original === '');
+
+        if (unchanged) {
+            this.dirtyFields.delete(key);
+        } else {
+            this.dirtyFields.add(key);
+        }
+
+        input.closest('.settings-field')?.classList.toggle('dirty', this.dirtyFields.has(key));
+        this.setFieldError(key, this.validateField(field));
+        this.updateSaveBar();
+    }
+
+    resetDirtyState() {
+        this.dirtyFields.clear();
+        this.form?.querySelectorAll('.settings-field.dirty').forEach(element => {
+            element.classList.remove('dirty');
+        });
+        this.updateSaveBar();
+    }
+
+    hasUnsavedChanges() {
+        return this.dirtyFields.size > 0;
+    }
+
+    // ===== VALIDATION =====
+    validateField(field) {
+        const value = this.readValue(field);
+
+        if (value === null) {
+            return field.required ? `${field.label} is required` : null;
+        }
+
+        if (field.type === 'integer' || field.type === 'number') {
+            if (!Number.isFinite(value)) {
+                return `${field.label} must be a number`;
+            }
+            if (field.type === 'integer' && !Number.isInteger(value)) {
+                return `${field.label} must be a whole number`;
+            }
+            if (field.min !== undefined && value < field.min) {
+                return `${field.label} must be at least ${field.min}`;
+            }
+            if (field.max !== undefined && value > field.max) {
+                return `${field.label} must be at most ${field.max}`;
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (field.min_length && value.length < field.min_length) {
+                return `${field.label} must be at least ${field.min_length} characters`;
+            }
+            if (field.max_length && value.length > field.max_length) {
+                return `${field.label} must be at most ${field.max_length} characters`;
+            }
+            if (field.patternRegex && !field.patternRegex.test(value)) {
+                return field.pattern_message || `${field.label} has an invalid format`;
+            }
+        }
+
+        return null;
+    }
+
+    compilePattern(field) {
+        if (!field.pattern) return null;
+
+        // One bad pattern from the schema shouldn't take down validation of the whole form
+        try {
+            return new RegExp(`^(?:${field.pattern})$`);
+        } catch (error) {
+            console.warn(`Ignoring invalid pattern for setting "${field.key}":`, error);
+            return null;
+        }
+    }
+
+    validateAll() {
+        const errors = {};
+        this.fields.forEach((field, key) => {
+            const error = this.validateField(field);
+            if (error) {
+                errors[key] = error;
+            }
+        });
+        return errors;
+    }
+
+    showFieldErrors(errors) {
+        Object.entries(errors).forEach(([key, message]) => {
+            this.setFieldError(key, Array.isArray(message) ? message.join(' ') : message);
+        });
+
+        const firstKey = Object.keys(errors)[0];
+        this.fields.get(firstKey)?.input?.focus();
+    }
+
+    setFieldError(key, message) {
+        const container = this.form?.querySelector(`.settings-field[data-field="${CSS.escape(key)}"]`);
+        if (!container) return;
+
+        container.classList.toggle('invalid', Boolean(message));
+        container.querySelector('.settings-field-error').textContent = message || '';
+    }
+
+    // ===== UI HELPERS =====
+    updateSaveBar() {
+        if (!this.saveBar) return;
+
+        const count = this.dirtyFields.size;
+        this.saveBar.classList.toggle('visible', count > 0);
+        this.saveBar.querySelector('.settings-save-count').textContent =
+            `You have ${count} unsaved change${count === 1 ? '' : 's'}`;
+    }
+
+    setSaving(isSaving) {
+        this.isSaving = isSaving;
+
+        const button = document.getElementById('settingsSave');
+        if (button) {
+            button.disabled = isSaving;
+            button.innerHTML = isSaving
+                ? '<i class="fas fa-spinner fa-spin"></i> Saving...'
+                : '<i class="fas fa-save"></i> Save Changes';
+        }
+    }
+}
+
+// Initialize settings manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.settingsManager = new SettingsManager();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
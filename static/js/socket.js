@@ -8,7 +8,33 @@ class SocketManager {
         this.maxReconnectAttempts = 10;
         this.reconnectDelay = 1000;
         this.isConnected = false;
+        this.isPolling = false;
+        this.reconnectTimer = null;
+        this.pollingInterval = null;
+        this.probeInterval = 60000;
+        this.probeTimer = null;
         this.eventCallbacks = new Map();
+        this.forcePolling = false;
+
+        // Diagnostics: connection history, per-event throughput and ping round-trips
+        this.maxHistory = 50;
+        this.history = [];
+        this.eventStats = new Map();
+        this.throughputWindow = 60 * 1000;
+        this.pingInterval = 15000;
+        this.pingTimeout = 5000;
+        this.pingTimer = null;
+        this.rttSamples = [];
+        this.maxRttSamples = 20;
+        this.pingSupported = null;
+        this.unansweredPings = 0;
+        this.maxUnansweredPings = 3;
+        this.lastMessageAt = null;
+
+        // Session recording and replay: taps see every event, and a replay takes over the view listeners
+        this.taps = [];
+        this.viewCallbacks = new Set();
+        this.replaying = false;
         
         this.init();
     }
@@ -22,22 +48,20 @@ class SocketManager {
         try {
             console.log('Connecting to WebSocket server...');
             
+            // Socket.IO's built-in reconnection is disabled so the backoff below is the only retry loop
             this.socket = io({
                 transports: ['websocket', 'polling'],
                 upgrade: true,
-                reconnection: true,
-                reconnectionAttempts: this.maxReconnectAttempts,
-                reconnectionDelay: this.reconnectDelay,
-                reconnectionDelayMax: 5000,
-                timeout: 20000,
-                forceNew: true
+                reconnection: false,
+                timeout: 20000
             });
 
             this.setupSocketEvents();
+            this.recordHistory('connecting');
             
         } catch (error) {
             console.error('WebSocket connection failed:', error);
-            this.handleConnectionError();
+            this.handleConnectionError(error);
         }
     }
 
@@ -54,26 +78,26 @@ class SocketManager {
 
         this.socket.on('connect_error', (error) => {
             console.error('WebSocket connection error:', error);
+            if (error?.message === 'unauthorized') {
+                this.triggerEvent('session_expired', { reason: 'connect_error' });
+            }
             this.handleConnectionError(error);
         });
 
-        this.socket.on('reconnect', (attempt) => {
-            console.log(`🔁 Reconnected after ${attempt} attempts`);
-            this.handleReconnect(attempt);
-        });
-
-        this.socket.on('reconnect_attempt', (attempt) => {
-            console.log(`🔄 Reconnection attempt ${attempt}`);
-            this.handleReconnectAttempt(attempt);
+        this.socket.on('session_expired', (data) => {
+            this.triggerEvent('session_expired', data);
         });
 
-        this.socket.on('reconnect_error', (error) => {
-            console.error('Reconnection error:', error);
+        // Every server event counts towards throughput, including ones nobody listens to
+        this.socket.onAny((event) => {
+            this.countEvent(event);
         });
 
-        this.socket.on('reconnect_failed', () => {
-            console.error('Reconnection failed');
-            this.handleReconnectFailed();
+        this.socket.io.on('open', () => {
+            this.socket.io.engine?.on('upgrade', (transport) => {
+                this.recordHistory('transport_upgrade', { reason: transport.name });
+                this.triggerEvent('transport_change', { transport: this.getTransport() });
+            });
         });
 
         // Custom event handlers
@@ -92,6 +116,18 @@ class SocketManager {
         this.socket.on('system_alert', (data) => {
             this.triggerEvent('system_alert', data);
         });
+
+        this.socket.on('music_update', (data) => {
+            this.triggerEvent('music_update', data);
+        });
+
+        this.socket.on('broadcast_progress', (data) => {
+            this.triggerEvent('broadcast_progress', data);
+        });
+
+        this.socket.on('broadcast_complete', (data) => {
+            this.triggerEvent('broadcast_complete', data);
+        });
     }
 
     setupEventListeners() {
@@ -116,9 +152,27 @@ class SocketManager {
 
     // ===== EVENT HANDLERS =====
     handleConnect() {
+        const attempts = this.reconnectAttempts;
+
+        // Forced polling wins over a connect that was already in flight
+        if (this.forcePolling) {
+            this.socket.disconnect();
+            return;
+        }
+
         this.isConnected = true;
         this.reconnectAttempts = 0;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopPolling();
+        this.recordHistory('connected', { attempt: attempts });
+        this.startPing();
+
+        if (attempts > 0) {
+            this.handleReconnect(attempts);
+        }
         this.triggerEvent('connection_change', { connected: true });
+        this.triggerStatus('connected');
         
         // Request initial data
         this.socket.emit('get_initial_data');
@@ -126,6 +180,8 @@ class SocketManager {
 
     handleDisconnect(reason) {
         this.isConnected = false;
+        this.stopPing();
+        this.recordHistory('disconnected', { reason });
         this.triggerEvent('connection_change', { connected: false, reason });
         
         // Auto-reconnect unless explicitly disconnected
@@ -135,31 +191,49 @@ class SocketManager {
     }
 
     handleConnectionError(error) {
+        this.recordHistory('connect_error', { reason: error?.message || 'unknown error' });
         this.triggerEvent('connection_error', { error });
         this.scheduleReconnect();
     }
 
     handleReconnect(attempt) {
-        this.reconnectAttempts = 0;
+        console.log(`🔁 Reconnected after ${attempt} attempts`);
         this.triggerEvent('reconnect', { attempt });
     }
 
     handleReconnectAttempt(attempt) {
-        this.reconnectAttempts = attempt;
         this.triggerEvent('reconnect_attempt', { attempt });
+        this.triggerStatus('reconnecting');
     }
 
     handleReconnectFailed() {
         this.triggerEvent('reconnect_failed');
         this.setupPollingFallback();
+        this.startProbing();
     }
 
     handleOffline() {
+        this.recordHistory('browser_offline');
         this.triggerEvent('offline');
+        this.triggerStatus('offline');
+    }
+
+    triggerStatus(state) {
+        this.triggerEvent('status_change', {
+            state,
+            attempt: this.reconnectAttempts,
+            maxAttempts: this.maxReconnectAttempts
+        });
     }
 
     // ===== RECONNECTION LOGIC =====
     scheduleReconnect() {
+        // Only one pending reconnect at a time; disconnect and connect_error can both land here
+        if (this.reconnectTimer || this.isConnected || this.forcePolling) return;
+
+        // Out of attempts and polling: the periodic probe is the retry now
+        if (this.isPolling && this.reconnectAttempts >= this.maxReconnectAttempts) return;
+
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
             console.log('Max reconnection attempts reached');
             this.handleReconnectFailed();
@@ -168,8 +242,11 @@ class SocketManager {
 
         const delay = this.calculateReconnectDelay();
         console.log(`Scheduling reconnect in ${delay}ms...`);
+        this.recordHistory('reconnect_scheduled', { attempt: this.reconnectAttempts + 1, delay });
 
-        setTimeout(() => {
+        this.triggerStatus('reconnecting');
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
             this.attemptReconnect();
         }, delay);
     }
@@ -182,10 +259,11 @@ class SocketManager {
     }
 
     attemptReconnect() {
-        if (this.isConnected) return;
+        if (this.isConnected || this.forcePolling) return;
 
         this.reconnectAttempts++;
         console.log(`Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
+        this.handleReconnectAttempt(this.reconnectAttempts);
 
         if (this.socket) {
             this.socket.connect();
@@ -196,39 +274,199 @@ class SocketManager {
 
     // ===== FALLBACK MECHANISMS =====
     setupPollingFallback() {
+        if (this.pollingInterval) return;
+
         console.log('Setting up polling fallback...');
+        this.recordHistory('polling_started', { reason: this.forcePolling ? 'forced' : 'reconnect failed' });
+        this.isPolling = true;
         this.triggerEvent('polling_started');
+        this.triggerStatus('polling');
 
-        // Implement polling logic here
-        const pollInterval = setInterval(() => {
+        this.pollForUpdates();
+        this.pollingInterval = setInterval(() => {
             if (this.isConnected) {
-                clearInterval(pollInterval);
+                this.stopPolling();
                 return;
             }
             this.pollForUpdates();
         }, 5000);
+    }
+
+    stopPolling() {
+        if (!this.pollingInterval) return;
+
+        clearInterval(this.pollingInterval);
+        clearInterval(this.probeTimer);
+        this.pollingInterval = null;
+        this.probeTimer = null;
+        this.isPolling = false;
+        this.recordHistory('polling_stopped');
+        this.triggerEvent('polling_stopped');
+    }
 
-        this.pollingInterval = pollInterval;
+    startProbing() {
+        // The socket may come back without the browser going offline and online again, so keep checking
+        if (this.probeTimer) return;
+        this.probeTimer = setInterval(() => this.probeSocket(), this.probeInterval);
+    }
+
+    probeSocket() {
+        if (this.isConnected || this.forcePolling || this.reconnectTimer || !this.socket) return;
+
+        // A single quiet attempt: on success handleConnect stops polling, on failure polling just carries on
+        this.recordHistory('socket_probe');
+        this.socket.connect();
     }
 
     async pollForUpdates() {
         try {
-            const response = await fetch('/api/poll');
-            if (response.ok) {
-                const data = await response.json();
-                this.triggerEvent('polling_update', data);
-            }
+            // The next tick is the retry, so don't let a slow poll overlap it
+            const data = await window.apiClient.get('/api/poll', { retries: 0, timeout: 4000 });
+            this.countEvent('polling_update');
+            this.triggerEvent('polling_update', data);
         } catch (error) {
             console.error('Polling failed:', error);
         }
     }
 
+    // ===== DIAGNOSTICS =====
+    recordHistory(type, details = {}) {
+        this.history.unshift({ type, time: Date.now(), transport: this.getTransport(), ...details });
+        this.history.length = Math.min(this.history.length, this.maxHistory);
+        this.triggerEvent('diagnostics_update');
+    }
+
+    countEvent(event) {
+        const now = Date.now();
+        const stats = this.eventStats.get(event) || { count: 0, lastAt: null, recent: [] };
+
+        stats.count++;
+        stats.lastAt = now;
+        stats.recent.push(now);
+        while (stats.recent.length && now - stats.recent[0] > this.throughputWindow) {
+            stats.recent.shift();
+        }
+
+        this.eventStats.set(event, stats);
+        this.lastMessageAt = now;
+    }
+
+    startPing() {
+        this.stopPing();
+        this.ping();
+        this.pingTimer = setInterval(() => this.ping(), this.pingInterval);
+    }
+
+    stopPing() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+    }
+
+    ping() {
+        if (!this.isConnected || !this.socket || this.pingSupported === false) return;
+
+        // Server contract: a `latency_ping` handler that calls its ack straight away; the ack time is the round trip.
+        // Engine.IO's own heartbeat is server-driven and gives the client no timing, so there is no fallback.
+        const sentAt = performance.now();
+        this.socket.timeout(this.pingTimeout).emit('latency_ping', Date.now(), (error) => {
+            if (!error) {
+                this.pingSupported = true;
+            } else if (!this.pingSupported) {
+                // Never answered so far: a server without the handler, not packet loss
+                if (++this.unansweredPings >= this.maxUnansweredPings) {
+                    this.pingSupported = false;
+                    this.stopPing();
+                    this.triggerEvent('latency', { rtt: null, unsupported: true });
+                }
+                return;
+            }
+
+            const rtt = error ? null : Math.round(performance.now() - sentAt);
+            this.rttSamples.push({ time: Date.now(), rtt });
+            if (this.rttSamples.length > this.maxRttSamples) {
+                this.rttSamples.shift();
+            }
+            this.triggerEvent('latency', { rtt, timedOut: Boolean(error) });
+        });
+    }
+
+    getTransport() {
+        if (this.isConnected && this.socket?.io?.engine?.transport) {
+            return this.socket.io.engine.transport.name;
+        }
+        return this.isPolling ? 'rest-polling' : 'none';
+    }
+
+    getDiagnostics() {
+        const now = Date.now();
+        const answered = this.rttSamples.filter(sample => sample.rtt !== null);
+
+        return {
+            state: this.getConnectionState(),
+            transport: this.getTransport(),
+            forcePolling: this.forcePolling,
+            pingSupported: this.pingSupported,
+            reconnectAttempts: this.reconnectAttempts,
+            maxReconnectAttempts: this.maxReconnectAttempts,
+            reconnectPending: Boolean(this.reconnectTimer),
+            lastMessageAt: this.lastMessageAt,
+            rtt: answered.length ? answered[answered.length - 1].rtt : null,
+            rttAverage: answered.length ? Math.round(answered.reduce((sum, sample) => sum + sample.rtt, 0) / answered.length) : null,
+            rttSamples: [...this.rttSamples],
+            lostPings: this.rttSamples.length - answered.length,
+            history: [...this.history],
+            events: Array.from(this.eventStats.entries()).map(([event, stats]) => ({
+                event,
+                count: stats.count,
+                lastAt: stats.lastAt,
+                perMinute: stats.recent.filter(time => now - time <= this.throughputWindow).length
+            })).sort((a, b) => b.count - a.count)
+        };
+    }
+
+    // Manual reconnect starts a fresh backoff cycle, even after the attempts ran out
+    reconnectNow() {
+        this.forcePolling = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.recordHistory('manual_reconnect');
+
+        if (this.isConnected) {
+            this.socket.disconnect();
+            this.isConnected = false;
+        }
+        this.attemptReconnect();
+    }
+
+    setForcePolling(enabled) {
+        if (this.forcePolling === enabled) return;
+
+        this.forcePolling = enabled;
+        this.recordHistory(enabled ? 'force_polling_on' : 'force_polling_off');
+
+        if (enabled) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+            // A client-side disconnect doesn't schedule a reconnect
+            this.socket?.disconnect();
+            this.setupPollingFallback();
+        } else {
+            this.reconnectNow();
+        }
+    }
+
     // ===== EVENT MANAGEMENT =====
-    on(event, callback) {
+    on(event, callback, options = {}) {
         if (!this.eventCallbacks.has(event)) {
             this.eventCallbacks.set(event, []);
         }
         this.eventCallbacks.get(event).push(callback);
+
+        // View listeners only paint the screen, so a replay can drive them instead of the live feed
+        if (options.view) {
+            this.viewCallbacks.add(callback);
+        }
     }
 
     off(event, callback) {
@@ -239,13 +477,29 @@ class SocketManager {
                 callbacks.splice(index, 1);
             }
         }
+        this.viewCallbacks.delete(callback);
+    }
+
+    addTap(callback) {
+        this.taps.push(callback);
+    }
+
+    removeTap(callback) {
+        this.taps = this.taps.filter(tap => tap !== callback);
     }
 
     triggerEvent(event, data) {
+        this.taps.forEach(tap => tap(event, data));
+
+        // Background listeners (auth, alerts, metrics) stay live; only the view is handed to a replay
+        this.dispatch(event, data, callback => !this.replaying || !this.viewCallbacks.has(callback), { replayed: false });
+    }
+
+    dispatch(event, data, accepts, meta) {
         if (this.eventCallbacks.has(event)) {
-            this.eventCallbacks.get(event).forEach(callback => {
+            this.eventCallbacks.get(event).filter(accepts).forEach(callback => {
                 try {
-                    callback(data);
+                    callback(data, meta);
                 } catch (error) {
                     console.error(`Error in ${event} callback:`, error);
                 }
@@ -253,6 +507,25 @@ class SocketManager {
         }
     }
 
+    // ===== REPLAY =====
+    startReplay() {
+        this.replaying = true;
+    }
+
+    replayEvent(event, data) {
+        if (this.replaying) {
+            this.dispatch(event, data, callback => this.viewCallbacks.has(callback), { replayed: true });
+        }
+    }
+
+    stopReplay() {
+        this.replaying = false;
+
+        // Put the live state back on the view listeners; the connection itself was never interrupted
+        this.triggerStatus(this.getConnectionState());
+        this.emit('get_initial_data');
+    }
+
     // ===== PUBLIC METHODS =====
     emit(event, data) {
         if (this.isConnected && this.socket) {
@@ -271,18 +544,24 @@ class SocketManager {
         return this.isConnected;
     }
 
+    getConnectionState() {
+        if (this.isConnected) return 'connected';
+        if (this.isPolling) return 'polling';
+        if (!navigator.onLine) return 'offline';
+        return this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting';
+    }
+
     getReconnectAttempts() {
         return this.reconnectAttempts;
     }
 
     // ===== CLEANUP =====
     destroy() {
+        this.stopPing();
         this.disconnect();
         this.eventCallbacks.clear();
-        
-        if (this.pollingInterval) {
-            clearInterval(this.pollingInterval);
-        }
+        clearTimeout(this.reconnectTimer);
+        this.stopPolling();
     }
 }
 
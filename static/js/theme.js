@@ -0,0 +1,98 @@
+// ===== THEME MANAGER =====
+// Dark, light and high-contrast themes, optionally following the OS preference
+
+class ThemeManager {
+    constructor() {
+        this.storageKey = 'theme';
+        this.themes = ['system', 'dark', 'light', 'high-contrast'];
+        this.preference = this.load();
+        this.colorScheme = window.matchMedia('(prefers-color-scheme: light)');
+        this.contrast = window.matchMedia('(prefers-contrast: more)');
+        this.switcher = document.getElementById('themeSwitcher');
+        this.applied = false;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.apply();
+    }
+
+    setupEventListeners() {
+        // Only matters while following the OS, but cheap to always listen
+        const onSystemChange = () => {
+            if (this.preference === 'system') {
+                this.apply();
+            }
+        };
+        this.colorScheme.addEventListener('change', onSystemChange);
+        this.contrast.addEventListener('change', onSystemChange);
+
+        this.switcher?.addEventListener('sl-select', (e) => {
+            this.set(e.detail.item.value);
+        });
+
+        // Another tab changed the theme
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.preference = this.load();
+                this.apply();
+            }
+        });
+    }
+
+    load() {
+        const saved = localStorage.getItem(this.storageKey);
+        return this.themes.includes(saved) ? saved : 'dark';
+    }
+
+    set(preference) {
+        if (!this.themes.includes(preference)) return;
+
+        this.preference = preference;
+        localStorage.setItem(this.storageKey, preference);
+        this.apply();
+    }
+
+    resolve() {
+        if (this.preference !== 'system') return this.preference;
+        if (this.contrast.matches) return 'high-contrast';
+        return this.colorScheme.matches ? 'light' : 'dark';
+    }
+
+    apply() {
+        const theme = this.resolve();
+        const root = document.documentElement;
+        const changed = root.getAttribute('data-theme') !== theme;
+
+        root.setAttribute('data-theme', theme);
+        this.updateSwitcher();
+
+        // Canvas-based widgets (charts) can't follow CSS variables on their own
+        if (changed || !this.applied) {
+            document.dispatchEvent(new CustomEvent('themechange', { detail: { theme, preference: this.preference } }));
+        }
+        this.applied = true;
+    }
+
+    updateSwitcher() {
+        this.switcher?.querySelectorAll('sl-menu-item').forEach(item => {
+            item.checked = item.value === this.preference;
+        });
+    }
+
+    getTheme() {
+        return document.documentElement.getAttribute('data-theme');
+    }
+}
+
+// Initialize theme manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.themeManager = new ThemeManager();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeManager;
+}
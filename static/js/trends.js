@@ -0,0 +1,232 @@
+// ===== STAT TRENDS =====
+// Rolling stats history behind the overview cards' trend badges and sparklines
+
+class StatTrends {
+    constructor() {
+        this.storageKey = 'statsHistory';
+        this.metrics = ['servers', 'users', 'commands_used', 'music_players'];
+        this.sampleInterval = 5 * 60 * 1000;
+        this.retention = 30 * 24 * 60 * 60 * 1000;
+        this.sparklinePoints = 24;
+        this.ranges = {
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000,
+            '30d': 30 * 24 * 60 * 60 * 1000
+        };
+
+        this.timeFilter = document.getElementById('timeFilter');
+        this.currentRange = this.timeFilter?.value || '24h';
+        this.history = this.load();
+        this.latest = null;
+        this.replaySamples = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!document.querySelector('[data-trend]')) return;
+
+        this.timeFilter?.addEventListener('change', () => {
+            this.currentRange = this.timeFilter.value;
+            this.render();
+        });
+
+        this.subscribeToSocket();
+        this.render();
+    }
+
+    subscribeToSocket() {
+        // Samples are always recorded from the live feed; the badges and sparklines are a view a replay can drive
+        window.socketManager?.on('stats_update', (data) => this.record(data));
+        window.socketManager?.on('polling_update', (data) => {
+            if (data.stats) {
+                this.record(data.stats);
+            }
+        });
+
+        window.socketManager?.on('stats_update', (data, meta) => this.show(data, meta), { view: true });
+        window.socketManager?.on('polling_update', (data, meta) => {
+            if (data.stats) {
+                this.show(data.stats, meta);
+            }
+        }, { view: true });
+    }
+
+    // ===== STORAGE =====
+    load() {
+        try {
+            const history = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            return history.filter(sample => Date.now() - sample.t < this.retention);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            console.error('Failed to persist stats history:', error);
+        }
+    }
+
+    // ===== DATA HANDLING =====
+    toSample(stats) {
+        const sample = { t: stats.timestamp ? new Date(stats.timestamp).getTime() : Date.now() };
+
+        this.metrics.forEach(metric => {
+            const value = Number(stats[metric]);
+            if (Number.isFinite(value)) {
+                sample[metric] = value;
+            }
+        });
+        return sample;
+    }
+
+    record(stats) {
+        const sample = this.toSample(stats);
+        this.latest = sample;
+
+        // Updates arrive every few seconds; persist at most one sample per interval
+        const last = this.history[this.history.length - 1];
+        if (!last || sample.t - last.t >= this.sampleInterval) {
+            this.history.push(sample);
+            this.history = this.history.filter(entry => sample.t - entry.t < this.retention);
+            this.save();
+        }
+    }
+
+    show(stats, { replayed } = {}) {
+        // Replayed stats only ever go into the replay's own samples, never the stored history
+        if (replayed) {
+            this.replaySamples = this.replaySamples || [];
+            this.replaySamples.push(this.toSample(stats));
+        }
+        this.render();
+    }
+
+    // ===== SESSION REPLAY =====
+    resetReplay() {
+        this.replaySamples = [];
+        this.render();
+    }
+
+    endReplay() {
+        this.replaySamples = null;
+        this.render();
+    }
+
+    getSamples() {
+        const samples = [...this.history];
+        if (this.latest && this.latest.t > (samples[samples.length - 1]?.t || 0)) {
+            samples.push(this.latest);
+        }
+        return samples;
+    }
+
+    getTrend(metric, samples) {
+        const rangeMs = this.ranges[this.currentRange] || this.ranges['24h'];
+        const current = samples[samples.length - 1];
+        const start = current ? current.t - rangeMs : 0;
+        const withMetric = samples.filter(sample => sample[metric] !== undefined);
+
+        if (!current || current[metric] === undefined || withMetric.length < 2) {
+            return null;
+        }
+
+        // Baseline is the last sample at or before the start of the range
+        const baseline = withMetric.filter(sample => sample.t <= start).pop();
+        if (!baseline) {
+            return { partial: true, since: withMetric[0].t };
+        }
+
+        const delta = current[metric] - baseline[metric];
+        const percent = baseline[metric] === 0 ? null : (delta / baseline[metric]) * 100;
+        return { delta, percent, baseline: baseline[metric] };
+    }
+
+    // ===== RENDERING =====
+    render() {
+        const samples = this.replaySamples || this.getSamples();
+
+        this.metrics.forEach(metric => {
+            this.renderTrend(metric, this.getTrend(metric, samples));
+            this.renderSparkline(metric, samples);
+        });
+    }
+
+    renderTrend(metric, trend) {
+        const element = document.querySelector(`[data-trend="${metric}"]`);
+        if (!element) return;
+
+        const direction = !trend || trend.partial || trend.delta === 0 ? 'flat' : (trend.delta > 0 ? 'up' : 'down');
+        const icon = { up: 'arrow-up', down: 'arrow-down', flat: 'minus' }[direction];
+
+        let label = '—';
+        let title = `Not enough history for the last ${this.currentRange} yet`;
+
+        if (trend && !trend.partial) {
+            label = trend.percent === null
+                ? `${trend.delta > 0 ? '+' : ''}${formatNumber(trend.delta)}`
+                : `${Math.abs(trend.percent).toFixed(1)}%`;
+            title = `${trend.delta >= 0 ? '+' : ''}${formatNumber(trend.delta)} vs ${this.currentRange} ago (${formatNumber(trend.baseline)})`;
+        } else if (trend?.partial) {
+            title = `Only collected since ${new Date(trend.since).toLocaleString()}`;
+        }
+
+        element.className = `stat-trend ${direction}`;
+        element.title = title;
+        element.innerHTML = `<i class="fas fa-${icon}"></i> ${escapeHtml(label)}`;
+    }
+
+    renderSparkline(metric, samples) {
+        const svg = document.querySelector(`[data-sparkline="${metric}"]`);
+        if (!svg) return;
+
+        const rangeMs = this.ranges[this.currentRange] || this.ranges['24h'];
+        const end = samples.length ? samples[samples.length - 1].t : Date.now();
+        const values = this.bucketize(samples, metric, end - rangeMs, end);
+
+        if (values.length < 2) {
+            svg.innerHTML = '';
+            return;
+        }
+
+        const width = 100;
+        const height = 24;
+        const min = Math.min(...values);
+        const spread = Math.max(...values) - min || 1;
+        const points = values.map((value, index) => {
+            const x = (index / (values.length - 1)) * width;
+            const y = height - ((value - min) / spread) * (height - 2) - 1;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.innerHTML = `<polyline points="${points.join(' ')}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke" />`;
+    }
+
+    bucketize(samples, metric, start, end) {
+        const bucketSize = (end - start) / this.sparklinePoints;
+        const buckets = [];
+
+        samples.forEach(sample => {
+            if (sample.t < start || sample[metric] === undefined) return;
+            const index = Math.min(Math.floor((sample.t - start) / bucketSize), this.sparklinePoints - 1);
+            buckets[index] = sample[metric];
+        });
+
+        // Empty buckets are skipped rather than drawn as zero
+        return buckets.filter(value => value !== undefined);
+    }
+}
+
+// Initialize stat trends when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.statTrends = new StatTrends();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatTrends;
+}
@@ -0,0 +1,67 @@
+// ===== SHARED UTILITIES =====
+// Small helpers used across the dashboard modules
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number.toLocaleString() : '0';
+}
+
+function debounce(callback, wait) {
+    let timeoutId = null;
+    return function(...args) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => callback.apply(this, args), wait);
+    };
+}
+
+function toCsv(rows, columns) {
+    // Quote every field that could break the row: commas, quotes, newlines.
+    // Text starting like a formula is prefixed with ' so spreadsheets show it instead of running it.
+    const quote = (value) => {
+        let text = String(value ?? '');
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = columns.map(column => quote(column.label)).join(',');
+    const lines = rows.map(row => columns.map(column => quote(column.value(row))).join(','));
+    return [header, ...lines].join('\r\n');
+}
+
+function downloadFile(filename, content, type = 'text/plain') {
+    const url = typeof content === 'string' && content.startsWith('data:')
+        ? content
+        : URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    if (url.startsWith('blob:')) {
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+function exportTimestamp(date = new Date()) {
+    // File-name safe: 2024-05-01_1430
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml, formatNumber, debounce, toCsv, downloadFile, exportTimestamp };
+}
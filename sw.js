@@ -0,0 +1,127 @@
+// ===== SERVICE WORKER =====
+// Caches the dashboard shell so pages open offline; API data is left to the page's own snapshot.
+// Served from the site root as /sw.js, which is what lets it control every page without extra headers.
+
+const SHELL_CACHE = 'musebot-shell-v9';
+const RUNTIME_CACHE = 'musebot-runtime-v1';
+
+// The dashboard page itself is not precached: signed out, "/" is only the login redirect.
+// networkFirst keeps it once an authenticated visit has loaded it.
+const SHELL_ASSETS = [
+    '/static/css/style.css',
+    '/static/css/dashboard.css',
+    '/static/js/utils.js',
+    '/static/js/bindings.js',
+    '/static/js/theme.js',
+    '/static/js/api.js',
+    '/static/js/socket.js',
+    '/static/js/auth.js',
+    '/static/js/permissions.js',
+    '/static/js/alerts.js',
+    '/static/js/metrics.js',
+    '/static/js/offline.js',
+    '/static/js/script.js',
+    '/static/js/charts.js',
+    '/static/js/exports.js',
+    '/static/js/commands.js',
+    '/static/js/search.js',
+    '/static/js/console.js',
+    '/static/js/notifications.js',
+    '/static/js/diagnostics.js',
+    '/static/js/recorder.js',
+    '/static/js/layout.js',
+    '/static/js/trends.js',
+    '/static/js/music.js',
+    '/static/js/broadcast.js',
+    '/static/js/activity.js',
+    '/static/js/reports.js',
+    '/static/js/performance.js',
+    '/static/js/servers.js',
+    '/static/js/settings.js',
+    '/static/images/icon.svg',
+    '/static/manifest.webmanifest'
+];
+
+// CDN libraries are cached the first time a page loads them
+const CDN_HOSTS = [
+    'cdn.jsdelivr.net',
+    'cdn.socket.io',
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => ![SHELL_CACHE, RUNTIME_CACHE].includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // API calls, auth and the socket transport always go to the network
+    if (url.origin === self.location.origin &&
+        (url.pathname.startsWith('/api/') || url.pathname.startsWith('/socket.io/') ||
+         url.pathname === '/login' || url.pathname === '/logout')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// Pages: fresh when online, last visited copy (or the last signed-in dashboard) when not
+async function networkFirst(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    try {
+        const response = await fetch(request);
+        // Redirects (e.g. to /login) are not worth keeping as the offline copy
+        if (response.ok && !response.redirected) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request)) || (await caches.match('/')) || Response.error();
+    }
+}
+
+// Assets: the cached copy straight away, refreshed in the cache it came from for the next load
+async function staleWhileRevalidate(request) {
+    const shell = await caches.open(SHELL_CACHE);
+    const shellCopy = await shell.match(request);
+    const cache = shellCopy ? shell : await caches.open(RUNTIME_CACHE);
+    const cached = shellCopy || await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}